@@ -2,35 +2,60 @@ import * as THREE from "three";
 import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
 import { DRACOLoader } from "three/addons/loaders/DRACOLoader.js";
 import { OrbitControls } from "three/addons/controls/OrbitControls.js";
+import { TransformControls } from "three/addons/controls/TransformControls.js";
+import { FlyControls } from "three/addons/controls/FlyControls.js";
 import { EXRLoader } from "three/addons/loaders/EXRLoader.js";
 import { RectAreaLightUniformsLib } from "three/addons/lights/RectAreaLightUniformsLib.js";
+import { RoomEnvironment } from "three/addons/environments/RoomEnvironment.js";
 import {
   CSS2DRenderer,
   CSS2DObject,
 } from "three/addons/renderers/CSS2DRenderer.js";
 
 // ============ PCSS SOFT SHADOWS (like Drei's SoftShadows) ============
+// Live-tunable: size is a uniform, a samples change recompiles the patched
+// materials on the next frame (see syncPCSS), or pick a preset with setShadowQuality()
 const pcssConfig = {
-  size: 25, // Light size - larger = softer shadows
-  samples: 8, // Quality - more samples = smoother but slower
+  size: 25, // Light size - larger = softer shadows (shadow map texels)
+  samples: 8, // Quality - more samples = smoother but slower (max 16)
   focus: 0, // Focus point - 0 = auto
+  quality: "medium", // last preset applied by setShadowQuality()
 };
 window.pcssConfig = pcssConfig;
 
-// ============ SUN CYCLE CONFIG ============
-const LIVE_TIME = false; // true = sun follows real clock, false = fixed at staticHour
-const STATIC_HOUR = 7.5; // 7:30 AM — only used when LIVE_TIME is false
+// Presets also scale the sun's shadow map. size is in texels and the kernel
+// grows with size², so it scales by √2 per map doubling to keep the same
+// penumbra in world space.
+const shadowQualityPresets = {
+  low: { samples: 4, size: 18, mapSize: 1024 },
+  medium: { samples: 8, size: 25, mapSize: 2048 },
+  high: { samples: 12, size: 25, mapSize: 2048 },
+  ultra: { samples: 16, size: 35, mapSize: 4096 },
+};
 
+// ============ SUN CYCLE CONFIG ============
 const sunCycleConfig = {
-  sunrise: 6, // 6 AM
-  sunset: 19, // 7 PM
-  center: new THREE.Vector3(5, 0, 2),
+  clock: "static", // "live" = sun follows real clock, "static" = fixed at staticHour (time panel switches)
+  staticHour: 7.5, // 7:30 AM — only used when clock is "static"
+  // Where and when the sun is computed (hours are local time at the location)
+  location: {
+    latitude: 40.7128, // New York
+    longitude: -74.006, // east positive
+    timeZone: "America/New_York",
+  },
+  date: null, // "YYYY-MM-DD" to pin a day of the year, null = today at the location
+  // Room frame: compass bearing WINDOW looks out toward, and that same
+  // direction in world space (set from the room model rotation on load)
+  windowBearing: 180, // south-facing storefront
+  windowOutward: new THREE.Vector3(0, 0, -1),
+  center: new THREE.Vector3(0, 0.5, 3), // sunLight target — the sun orbits this
   radius: 20,
 };
+window.sunCycleConfig = sunCycleConfig;
 
 // Sun cycle runtime state
 const sunCycle = {
-  override: false, // true when user pressed L to manually override
+  override: false, // true when day/night was picked by hand (L / lighting switch) — sun cycle stops driving the lights
   lastUpdate: 0, // timestamp of last sun recalc
   isNight: false, // current day/night state
   targetPosition: new THREE.Vector3(19, 10, -6),
@@ -45,6 +70,173 @@ const sunCycle = {
   simSpeed: 0, // multiplier: 0 = paused (slider-only), 60/360/etc = fast-forward
 };
 
+/** Decimal hour the sun should be at right now (sim, live clock or static hour) */
+function getCycleHour() {
+  if (sunCycle.sim) return sunCycle.simHour;
+  if (sunCycleConfig.clock !== "live") return sunCycleConfig.staticHour;
+  return zonedTime(new Date(), sunCycleConfig.location.timeZone).hour;
+}
+
+// ============ SOLAR POSITION (NOAA) ============
+// Port of the NOAA solar calculator spreadsheet — good to well under a degree
+// between 1800 and 2100, no network. Angles in degrees, hours local decimal.
+const zonedFormatters = new Map();
+
+/**
+ * Wall-clock date and time of an instant in an IANA time zone.
+ * @param {Date} date
+ * @param {string} timeZone - e.g. "America/New_York"
+ * @returns {{ year: number, month: number, day: number, hour: number, offset: number }}
+ *   month 1–12, hour decimal, offset = hours ahead of UTC (DST aware)
+ */
+function zonedTime(date, timeZone) {
+  let formatter = zonedFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    });
+    zonedFormatters.set(timeZone, formatter);
+  }
+  const parts = {};
+  formatter.formatToParts(date).forEach((p) => {
+    parts[p.type] = Number(p.value);
+  });
+  const wallClockUTC = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+  );
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour + parts.minute / 60 + parts.second / 3600,
+    offset: Math.round((wallClockUTC - date.getTime()) / 60000) / 60,
+  };
+}
+
+/**
+ * Sun elevation/azimuth at a local hour, plus that day's sunrise and sunset.
+ * @param {number} hour - Local decimal hour at sunCycleConfig.location
+ * @returns {{ elevation: number, azimuth: number, noonElevation: number,
+ *   sunrise: number | null, sunset: number | null }} azimuth clockwise from
+ *   north; sunrise/sunset null during polar night / midnight sun
+ */
+function getSolarPosition(hour) {
+  const { latitude, longitude, timeZone } = sunCycleConfig.location;
+  const deg = THREE.MathUtils.radToDeg;
+  const rad = THREE.MathUtils.degToRad;
+
+  let year, month, day;
+  if (sunCycleConfig.date) {
+    [year, month, day] = sunCycleConfig.date.split("-").map(Number);
+  } else {
+    ({ year, month, day } = zonedTime(new Date(), timeZone));
+  }
+  // Offset at local noon, so the DST state matches the day being shown
+  const noonUTC = new Date(Date.UTC(year, month - 1, day, 12));
+  const tz = zonedTime(noonUTC, timeZone).offset;
+
+  // Julian day / century of the requested instant
+  const julianDay =
+    Date.UTC(year, month - 1, day) / 86400000 + 2440587.5 + (hour - tz) / 24;
+  const T = (julianDay - 2451545) / 36525;
+
+  // Sun's apparent longitude and the obliquity of the ecliptic
+  const meanLong = (280.46646 + T * (36000.76983 + T * 0.0003032)) % 360;
+  const meanAnomaly = 357.52911 + T * (35999.05029 - 0.0001537 * T);
+  const eccentricity = 0.016708634 - T * (0.000042037 + 0.0000001267 * T);
+  const M = rad(meanAnomaly);
+  const center =
+    Math.sin(M) * (1.914602 - T * (0.004817 + 0.000014 * T)) +
+    Math.sin(2 * M) * (0.019993 - 0.000101 * T) +
+    Math.sin(3 * M) * 0.000289;
+  const omega = rad(125.04 - 1934.136 * T);
+  const apparentLong = meanLong + center - 0.00569 - 0.00478 * Math.sin(omega);
+  const meanObliquity =
+    23 +
+    (26 + (21.448 - T * (46.815 + T * (0.00059 - T * 0.001813))) / 60) / 60;
+  const obliquity = rad(meanObliquity + 0.00256 * Math.cos(omega));
+
+  const declination = Math.asin(
+    Math.sin(obliquity) * Math.sin(rad(apparentLong)),
+  );
+
+  // Equation of time (minutes)
+  const y = Math.tan(obliquity / 2) ** 2;
+  const L0 = rad(meanLong);
+  const equationOfTime =
+    4 *
+    deg(
+      y * Math.sin(2 * L0) -
+        2 * eccentricity * Math.sin(M) +
+        4 * eccentricity * y * Math.sin(M) * Math.cos(2 * L0) -
+        0.5 * y * y * Math.sin(4 * L0) -
+        1.25 * eccentricity * eccentricity * Math.sin(2 * M),
+    );
+
+  // Hour angle → elevation / azimuth
+  const lat = rad(latitude);
+  const trueSolarTime =
+    (((hour * 60 + equationOfTime + 4 * longitude - 60 * tz) % 1440) + 1440) %
+    1440;
+  const hourAngle = rad(trueSolarTime / 4 - 180);
+  const cosZenith = THREE.MathUtils.clamp(
+    Math.sin(lat) * Math.sin(declination) +
+      Math.cos(lat) * Math.cos(declination) * Math.cos(hourAngle),
+    -1,
+    1,
+  );
+  const zenith = Math.acos(cosZenith);
+  const azimuthDenominator = Math.cos(lat) * Math.sin(zenith);
+  let azimuth = 180; // sun straight overhead / at the pole — any value works
+  if (Math.abs(azimuthDenominator) > 1e-6) {
+    const a = deg(
+      Math.acos(
+        THREE.MathUtils.clamp(
+          (Math.sin(lat) * cosZenith - Math.sin(declination)) /
+            azimuthDenominator,
+          -1,
+          1,
+        ),
+      ),
+    );
+    azimuth = hourAngle > 0 ? (a + 180) % 360 : (540 - a) % 360;
+  }
+
+  // Sunrise / sunset: center of the disc 0.833° below the horizon (refraction + radius)
+  const solarNoon = (720 - 4 * longitude - equationOfTime + tz * 60) / 60;
+  const cosSunriseAngle =
+    Math.cos(rad(90.833)) / (Math.cos(lat) * Math.cos(declination)) -
+    Math.tan(lat) * Math.tan(declination);
+  let sunrise = null;
+  let sunset = null;
+  if (Math.abs(cosSunriseAngle) <= 1) {
+    const halfDay = deg(Math.acos(cosSunriseAngle)) / 15; // hours
+    sunrise = solarNoon - halfDay;
+    sunset = solarNoon + halfDay;
+  }
+
+  return {
+    elevation: 90 - deg(zenith),
+    azimuth,
+    noonElevation: 90 - Math.abs(latitude - deg(declination)),
+    sunrise,
+    sunset,
+  };
+}
+window.getSolarPosition = getSolarPosition;
+
 // Color temperature keyframes
 const sunColors = {
   dawn: new THREE.Color(0xff8c42), // rich warm orange
@@ -54,40 +246,42 @@ const sunColors = {
 
 /**
  * Get sun position, intensity, and color for a given decimal hour.
- * @param {number} hour - Decimal hour (e.g. 14.5 = 2:30 PM)
- * @returns {{ position: THREE.Vector3, intensity: number, color: THREE.Color }}
+ * The real sun (getSolarPosition) is mapped into the room through WINDOW:
+ * windowBearing on the compass lines up with windowOutward in the scene.
+ * @param {number} hour - Local decimal hour at the configured location (e.g. 14.5 = 2:30 PM)
+ * @returns {{ position: THREE.Vector3, intensity: number, color: THREE.Color, isNight: boolean }}
  */
 function getSunPosition(hour) {
-  const { sunrise, sunset, center, radius } = sunCycleConfig;
+  const { center, radius, windowOutward, windowBearing } = sunCycleConfig;
   const dawnDuration = 2; // 2 hour ramp at dawn — longer warm glow
   const duskDuration = 2; // 2 hour ramp at dusk
 
-  // Default: night
+  const solar = getSolarPosition(hour);
+  const elevation = THREE.MathUtils.degToRad(solar.elevation);
+
+  // Compass bearing → world direction: rotate the window's outward normal by
+  // the sun's bearing relative to it (clockwise seen from above = -Y rotation)
+  const horizontal = windowOutward
+    .clone()
+    .applyAxisAngle(
+      THREE.Object3D.DEFAULT_UP,
+      -THREE.MathUtils.degToRad(solar.azimuth - windowBearing),
+    );
+  const position = center
+    .clone()
+    .addScaledVector(horizontal, radius * Math.cos(elevation));
+  position.y += radius * Math.sin(elevation);
+
+  const isNight = solar.elevation < -0.833;
   let intensity = 0;
   const color = new THREE.Color();
-  const position = new THREE.Vector3();
-
-  if (hour >= sunrise && hour <= sunset) {
-    // Map sunrise→sunset to 0→PI
-    const t = (hour - sunrise) / (sunset - sunrise); // 0..1
-
-    // Bias t so the sun lingers in the morning/low-angle zone longer.
-    // Power < 1 stretches early values (morning) and compresses late (afternoon).
-    const biasedT = Math.pow(t, 0.8);
-    const angle = biasedT * Math.PI; // 0..PI
-
-    // Sun arc: comes from the front of the room (like a garage door / storefront).
-    // The front of the room is roughly +z direction.
-    // x sweeps side to side, y rises/falls, z stays out in front.
-    position.set(
-      center.x + radius * Math.cos(angle) * 0.1, // sweeps left-to-right across front
-      center.y + radius * Math.sin(angle) * 0.6, // lower arc — more raking angle
-      center.z + radius * 0.7, // stays out in front of room
-    );
 
-    // Intensity ramp at dawn/dusk edges
-    const hoursFromSunrise = hour - sunrise;
-    const hoursFromSunset = sunset - hour;
+  if (!isNight) {
+    // Intensity ramp at dawn/dusk edges (no edges under the midnight sun)
+    const hoursFromSunrise =
+      solar.sunrise === null ? Infinity : hour - solar.sunrise;
+    const hoursFromSunset =
+      solar.sunset === null ? Infinity : solar.sunset - hour;
 
     if (hoursFromSunrise < dawnDuration) {
       intensity = 6 * smoothstep(hoursFromSunrise / dawnDuration);
@@ -97,27 +291,414 @@ function getSunPosition(hour) {
       intensity = 6;
     }
 
+    // Sun behind the storefront — no direct light through WINDOW
+    intensity *= smoothstep((horizontal.dot(windowOutward) + 0.2) / 0.4);
+
     // Color temperature: stay warm most of the day.
-    // elevation 0..1..0 over the arc
-    const elevation = Math.sin(angle);
-    if (elevation < 0.4) {
+    // elevation 0..1 relative to today's noon sun
+    const relElevation = THREE.MathUtils.clamp(
+      Math.sin(elevation) /
+        Math.sin(THREE.MathUtils.degToRad(Math.max(solar.noonElevation, 1))),
+      0,
+      1,
+    );
+    if (relElevation < 0.4) {
       // Dawn/dusk zone: rich warm orange → morning warm (wider zone)
-      const ct = elevation / 0.4;
+      const ct = relElevation / 0.4;
       color.copy(sunColors.dawn).lerp(sunColors.morning, smoothstep(ct));
     } else {
       // Rest of day: mostly morning-warm, barely touching noon-white
-      const ct = (elevation - 0.4) / 0.6; // 0..1
+      const ct = (relElevation - 0.4) / 0.6; // 0..1
       const gentleCt = Math.pow(ct, 2.5); // stays warm even longer
       color.copy(sunColors.morning).lerp(sunColors.noon, gentleCt * 0.35); // cap at 35% toward noon
     }
   } else {
     // Night: below horizon
-    intensity = 0;
-    position.set(center.x, -5, center.z + radius * 0.7);
     color.copy(sunColors.dawn);
   }
 
-  return { position, intensity, color };
+  return { position, intensity, color, isNight };
+}
+
+// ============ LIGHTING MODES ============
+// setLightingMode() retargets window.lightSwitch (room lights, practicals,
+// material envMapIntensity); the animate loop lerps toward the targets.
+//   "moody" — sun cycle drives the sun, room lights at moodyIntensity, practicals on
+//   "day" / "night" — picked by hand: sunCycle.override takes the sun off the
+//     cycle (it lerps to on/off with the room lights) and stops auto-toggling
+//   "auto" — back to the sun cycle, day or night from sunCycle.isNight
+const lightingModes = ["auto", "day", "night", "moody"];
+
+/**
+ * Switch the room lighting.
+ * @param {"auto" | "day" | "night" | "moody"} mode
+ * @param {{ manual?: boolean, immediate?: boolean }} [options] - manual: false
+ *   for the sun cycle's own day/night flips (keeps override off);
+ *   immediate: snap instead of lerping (initial setup)
+ */
+function setLightingMode(mode, { manual = true, immediate = false } = {}) {
+  const lightSwitch = window.lightSwitch;
+  if (!lightSwitch || !lightingModes.includes(mode)) return;
+
+  lightSwitch.auto = mode === "auto";
+  const resolved = lightSwitch.auto
+    ? sunCycle.isNight
+      ? "night"
+      : "day"
+    : mode;
+  const wasOverride = sunCycle.override;
+  sunCycle.override =
+    manual && (resolved === "day" || resolved === "night") && !lightSwitch.auto;
+  lightSwitch.mode = resolved;
+  lightSwitch.on = resolved === "day";
+
+  lightSwitch.roomLights.forEach((l) => {
+    if (l.light === window.sunLight) {
+      // Only driven from here while overridden; pick up from where the cycle left it
+      if (sunCycle.override && !wasOverride) l.current = l.light.intensity;
+      l.target = resolved === "day" ? l.onIntensity : 0;
+      return;
+    }
+    l.target = {
+      day: l.onIntensity,
+      night: 0.02, // dim at night but don't go to zero
+      moody: l.moodyIntensity,
+    }[resolved];
+  });
+  lightSwitch.practicalLights.forEach((l) => {
+    l.target = resolved === "day" ? 0 : l.onIntensity;
+  });
+  lightSwitch.materials.forEach((m) => {
+    m.target = resolved === "day" ? m.onIntensity : m.offIntensity;
+  });
+  // Baked lightmaps: day bake in daylight, night bake otherwise (moody included)
+  lightSwitch.baked.target = resolved === "day" ? 0 : 1;
+
+  // Sun handed back to the cycle — resume lerping from the light's actual state
+  if (wasOverride && !sunCycle.override && window.sunLight) {
+    sunCycle.currentIntensity = window.sunLight.intensity;
+  }
+
+  if (immediate) {
+    [...lightSwitch.roomLights, ...lightSwitch.practicalLights].forEach((l) => {
+      if (!sunCycle.override && l.light === window.sunLight) return;
+      l.current = l.target;
+      applyLightLevel(l);
+    });
+    lightSwitch.materials.forEach((m) => {
+      m.current = m.target;
+      m.material.envMapIntensity = m.target;
+    });
+    lightSwitch.baked.current = lightSwitch.baked.target;
+    bakedUniforms.bakedNight.value = lightSwitch.baked.current;
+  }
+
+  updateLightingSwitch();
+  if (manual) {
+    announce(
+      `Lighting: ${lightSwitch.auto ? `auto (${resolved})` : resolved}.`,
+    );
+  }
+}
+window.setLightingMode = setLightingMode;
+
+// ============ PRACTICAL FIXTURES ============
+// Lamp shade / sconce meshes glow with their practical light: each
+// practicalLights entry with a `fixture` group collects matching meshes in
+// `fixtures`, and their emissiveIntensity follows the entry's current level.
+// (No bloom pass yet — emissiveIntensity above 1 is what one would pick up.)
+const fixtureConfig = {
+  lamp: { match: /lamp|shade/i, color: 0xffb770, emissiveIntensity: 2 },
+  // sconce.gltf is just "sconce metal" + the "sconce plastic" diffuser
+  sconce: { match: /plastic/i, color: 0xffffff, emissiveIntensity: 3 },
+};
+
+/** Push a light entry's current level into the light and its fixture meshes */
+function applyLightLevel(l) {
+  l.light.intensity = l.current;
+  l.fixtures?.forEach((f) => {
+    // The hover glow holds the material until clearFocusHighlight
+    if (focusPicker.highlighted.some((h) => h.material === f.material)) return;
+    f.material.emissiveIntensity =
+      f.emissiveIntensity * (l.current / l.onIntensity);
+  });
+}
+
+/** True when neither the object nor any ancestor is hidden */
+function isShown(object) {
+  let shown = true;
+  object.traverseAncestors((a) => {
+    if (!a.visible) shown = false;
+  });
+  return shown && object.visible;
+}
+
+/**
+ * Give a mesh its own copy of its material (once), so per-mesh tweaks (fixture
+ * glow, baked lightmaps) don't leak onto other meshes sharing it. The copy keeps
+ * the PCSS patch and the light switch's envMapIntensity control.
+ * @param {THREE.Mesh} mesh
+ * @returns {THREE.Material}
+ */
+function ownMeshMaterial(mesh) {
+  const original = mesh.material;
+  if (original.userData.ownedBy === mesh.uuid) return original;
+  const material = original.clone();
+  material.userData.ownedBy = mesh.uuid;
+  if (pcss.materials.has(original)) applyPCSS(material);
+  const switched = window.lightSwitch?.materials.find(
+    (m) => m.material === original,
+  );
+  if (switched) window.lightSwitch.materials.push({ ...switched, material });
+  mesh.material = material;
+  return material;
+}
+
+/**
+ * Hand the fixture meshes under root to the nearest practical light of a group.
+ * @param {THREE.Object3D} root - Loaded model (main store model, sconce prop)
+ * @param {keyof fixtureConfig} group
+ * @param {string} label - Source name for the diagnostics panel
+ */
+function attachPracticalFixtures(root, group, label) {
+  const config = fixtureConfig[group];
+  const entries = window.lightSwitch?.practicalLights.filter(
+    (l) => l.fixture === group,
+  );
+  if (!config || !entries?.length) return;
+
+  root.updateMatrixWorld(true);
+  const lightPositions = entries.map((l) =>
+    l.light.getWorldPosition(new THREE.Vector3()),
+  );
+  let matched = 0;
+  root.traverse((child) => {
+    if (!child.isMesh || !child.material || Array.isArray(child.material))
+      return;
+    if (
+      !config.match.test(child.name) &&
+      !config.match.test(child.material.name)
+    )
+      return;
+    if (!child.material.emissive || !isShown(child)) return;
+
+    const center = new THREE.Box3()
+      .setFromObject(child)
+      .getCenter(new THREE.Vector3());
+    let nearest = 0;
+    lightPositions.forEach((p, i) => {
+      if (p.distanceTo(center) < lightPositions[nearest].distanceTo(center))
+        nearest = i;
+    });
+
+    const material = ownMeshMaterial(child);
+    material.emissive.set(config.color);
+
+    entries[nearest].fixtures.push({
+      material,
+      emissiveIntensity: config.emissiveIntensity,
+    });
+    matched++;
+  });
+
+  if (!matched) {
+    reportAssetIssue(
+      `${label} → ${group} fixture`,
+      "warning",
+      "No fixture meshes matched",
+    );
+  }
+  entries.forEach(applyLightLevel);
+}
+
+/** L: step through auto → day → night → moody */
+function cycleLightingMode() {
+  const lightSwitch = window.lightSwitch;
+  if (!lightSwitch) return;
+  const current = lightSwitch.auto ? "auto" : lightSwitch.mode;
+  const next =
+    lightingModes[(lightingModes.indexOf(current) + 1) % lightingModes.length];
+  setLightingMode(next);
+}
+
+const lightingSwitchEl = document.getElementById("lighting-switch");
+
+/**
+ * Reflect the current mode on the on-screen switch. The switch and the time
+ * panel show alongside the camera mode toggle (see updateCameraModeToggle).
+ */
+function updateLightingSwitch() {
+  const lightSwitch = window.lightSwitch;
+  if (!lightSwitch) return;
+  setTimePanelShown(cameraModeShown);
+  if (!lightingSwitchEl) return;
+  lightingSwitchEl.classList.toggle("hidden", !cameraModeShown);
+  lightingSwitchEl.inert = !cameraModeShown;
+  const current = lightSwitch.auto ? "auto" : lightSwitch.mode;
+  lightingSwitchEl.querySelectorAll("[data-lighting-mode]").forEach((btn) => {
+    btn.setAttribute(
+      "aria-pressed",
+      String(btn.dataset.lightingMode === current),
+    );
+  });
+}
+
+lightingSwitchEl?.querySelectorAll("[data-lighting-mode]").forEach((btn) => {
+  btn.addEventListener("click", () =>
+    setLightingMode(btn.dataset.lightingMode),
+  );
+});
+
+window.addEventListener("keydown", (e) => {
+  if (e.key !== "l" && e.key !== "L") return;
+  if (e.metaKey || e.ctrlKey || e.altKey) return;
+  if (e.target instanceof HTMLInputElement) return;
+  cycleLightingMode();
+});
+
+// ============ TIME OF DAY PANEL ============
+// Scrubbing or picking a speed switches the sun onto simulated time
+// (sunCycle.sim); simSpeed is sim seconds per real second, so 360× runs a
+// full day in four minutes — "Day in 30 s" picks whatever speed runs today's
+// sunrise to nightfall in demoSeconds. Live / Static hand it back to the clock.
+const timePanel = {
+  el: document.getElementById("time-panel"),
+  clock: document.getElementById("time-panel-clock"),
+  slider: document.getElementById("time-panel-hour"),
+  demoBtn: document.getElementById("time-panel-demo"),
+  scrubbing: false, // pointer is down on the slider — don't fight the drag
+  shown: false,
+  demoSeconds: 30,
+  demoSpeed: 0, // simSpeed the last demo ran at (≈1800–2000×)
+  demoEnd: null, // sim hour the running demo pauses at
+};
+
+/** 14.5 → "2:30 PM" */
+function formatHour(hour) {
+  const totalMinutes = Math.floor((((hour % 24) + 24) % 24) * 60);
+  const h = Math.floor(totalMinutes / 60);
+  const m = totalMinutes % 60;
+  return `${h % 12 || 12}:${String(m).padStart(2, "0")} ${h < 12 ? "AM" : "PM"}`;
+}
+
+/**
+ * Hand the sun back to a clock.
+ * @param {"live" | "static"} clock
+ */
+function setSunClock(clock) {
+  sunCycleConfig.clock = clock;
+  sunCycle.sim = false;
+  sunCycle.simSpeed = 0;
+  sunCycle.lastUpdate = 0; // recalc next frame
+  syncTimePanelButtons();
+  announce(
+    clock === "live"
+      ? `Sun following the clock, ${formatHour(getCycleHour())}.`
+      : `Sun fixed at ${formatHour(sunCycleConfig.staticHour)}.`,
+  );
+}
+
+/** Jump simulated time to a decimal hour (keeps the current sim speed) */
+function setSimHour(hour) {
+  sunCycle.sim = true;
+  sunCycle.simHour = ((hour % 24) + 24) % 24;
+  sunCycle.lastUpdate = 0;
+  syncTimePanelButtons();
+}
+
+/** Run simulated time at a multiplier (0 = paused), starting from the hour on screen */
+function setSimSpeed(speed) {
+  if (!sunCycle.sim) setSimHour(getCycleHour());
+  sunCycle.simSpeed = speed;
+  syncTimePanelButtons();
+  announce(speed > 0 ? `Time running at ${speed} times.` : "Time paused.");
+}
+
+/** Run from just before today's sunrise to after sunset in demoSeconds */
+function playDayDemo() {
+  const { sunrise, sunset } = getSolarPosition(12);
+  const start = Math.max((sunrise ?? 6) - 0.5, 0);
+  const end = Math.min((sunset ?? 19) + 1, 23.99); // into dusk so the practicals come on
+  timePanel.demoSpeed = Math.round(
+    ((end - start) * 3600) / timePanel.demoSeconds,
+  );
+  setSimHour(start);
+  sunCycle.simSpeed = timePanel.demoSpeed;
+  timePanel.demoEnd = end;
+  syncTimePanelButtons();
+  announce(`Playing sunrise to night in ${timePanel.demoSeconds} seconds.`);
+}
+window.setSunClock = setSunClock;
+window.setSimHour = setSimHour;
+window.setSimSpeed = setSimSpeed;
+window.playDayDemo = playDayDemo;
+
+timePanel.slider?.addEventListener("input", () =>
+  setSimHour(parseFloat(timePanel.slider.value)),
+);
+timePanel.slider?.addEventListener("pointerdown", () => {
+  timePanel.scrubbing = true;
+});
+window.addEventListener("pointerup", () => {
+  timePanel.scrubbing = false;
+});
+timePanel.el?.querySelectorAll("[data-sun-clock]").forEach((btn) => {
+  btn.addEventListener("click", () => setSunClock(btn.dataset.sunClock));
+});
+timePanel.el?.querySelectorAll("[data-sim-speed]").forEach((btn) => {
+  btn.addEventListener("click", () =>
+    setSimSpeed(parseFloat(btn.dataset.simSpeed)),
+  );
+});
+timePanel.demoBtn?.addEventListener("click", playDayDemo);
+
+/** Reflect clock source / sim speed on the buttons (on change only) */
+function syncTimePanelButtons() {
+  if (!timePanel.el) return;
+  timePanel.el.querySelectorAll("[data-sun-clock]").forEach((btn) => {
+    btn.setAttribute(
+      "aria-pressed",
+      String(!sunCycle.sim && btn.dataset.sunClock === sunCycleConfig.clock),
+    );
+  });
+  timePanel.el.querySelectorAll("[data-sim-speed]").forEach((btn) => {
+    btn.setAttribute(
+      "aria-pressed",
+      String(
+        sunCycle.sim && parseFloat(btn.dataset.simSpeed) === sunCycle.simSpeed,
+      ),
+    );
+  });
+  timePanel.demoBtn?.setAttribute(
+    "aria-pressed",
+    String(
+      sunCycle.sim &&
+        sunCycle.simSpeed > 0 &&
+        sunCycle.simSpeed === timePanel.demoSpeed,
+    ),
+  );
+}
+syncTimePanelButtons();
+
+/** Show/hide the panel (with the lighting switch, see updateLightingSwitch) */
+function setTimePanelShown(show) {
+  if (!timePanel.el || show === timePanel.shown) return;
+  timePanel.shown = show;
+  timePanel.el.classList.toggle("hidden", !show);
+  timePanel.el.inert = !show;
+}
+
+/** Sync the panel's clock readout (called every frame) */
+function updateTimePanel() {
+  if (!timePanel.shown) return;
+
+  const hour = getCycleHour();
+  const label = formatHour(hour);
+  if (timePanel.clock.textContent !== label) {
+    timePanel.clock.textContent = label;
+    timePanel.slider.setAttribute("aria-valuetext", label);
+  }
+  if (!timePanel.scrubbing) timePanel.slider.value = hour.toFixed(2);
 }
 
 /** Attempt a smooth Hermite-like step */
@@ -126,12 +707,44 @@ function smoothstep(t) {
   return t * t * (3 - 2 * t);
 }
 
-// Patch Three.js shadow shaders for PCSS
-let originalShaderChunk = THREE.ShaderChunk.shadowmap_pars_fragment;
+// The sun's original fixed shadow frustum. PCSS size/bias (and the presets
+// above) were tuned against it; fitSunShadowCamera() tightens the frustum, and
+// the shader maps texels and depths back to this frame so the look holds.
+const pcssReferenceFrustum = {
+  extent: 100,
+  near: 0.5,
+  far: 120,
+  bias: -0.0001,
+};
+
+// Patch Three.js shadow shaders for PCSS — per material (applyPCSS), so the
+// global ShaderChunk stays stock and materials can recompile with new samples.
+// Only the sun casts shadows, so its fitted frustum rides along as uniforms.
+const pcssUniforms = {
+  pcssSize: { value: pcssConfig.size },
+  pcssTexelScale: { value: 1 }, // reference extent / fitted extent
+  pcssDepthRange: {
+    value: new THREE.Vector2(
+      pcssReferenceFrustum.near,
+      pcssReferenceFrustum.far,
+    ),
+  }, // fitted near / far
+};
+const pcss = {
+  materials: new Set(), // patched materials — recompiled when samples change
+  compiledSamples: pcssConfig.samples,
+};
 
 const pcssGetShadow = `
-#define PCSS_SAMPLES ${pcssConfig.samples}
-#define PCSS_SIZE ${pcssConfig.size.toFixed(1)}
+uniform float pcssSize;
+uniform float pcssTexelScale;
+uniform vec2 pcssDepthRange;
+
+// Normalized depth in the fitted frustum → same point in the reference frustum
+float PCSS_referenceDepth(float z) {
+  float lightDistance = pcssDepthRange.x + z * (pcssDepthRange.y - pcssDepthRange.x);
+  return (lightDistance - ${pcssReferenceFrustum.near.toFixed(1)}) / ${(pcssReferenceFrustum.far - pcssReferenceFrustum.near).toFixed(1)};
+}
 
 float PCSS_rand(vec2 co) {
   return fract(sin(dot(co.xy, vec2(12.9898, 78.233))) * 43758.5453);
@@ -150,15 +763,15 @@ void PCSS_initPoissonSamples(vec2 seed) {
 }
 
 float PCSS_penumbraSize(float zReceiver, float zBlocker) {
-  return (zReceiver - zBlocker) / zBlocker * PCSS_SIZE;
+  return (zReceiver - zBlocker) / zBlocker * pcssSize;
 }
 
-float PCSS_findBlocker(sampler2D shadowMap, vec2 uv, float zReceiver, float size) {
+float PCSS_findBlocker(sampler2D shadowMap, vec2 texelSize, vec2 uv, float zReceiver, float size) {
   float blockerSum = 0.0;
   float numBlockers = 0.0;
   for (int i = 0; i < PCSS_SAMPLES; i++) {
-    vec2 offset = PCSS_poissonDisk[i % 16] * size / 2048.0;
-    float shadowMapDepth = unpackRGBAToDepth(texture2D(shadowMap, uv + offset));
+    vec2 offset = PCSS_poissonDisk[i % 16] * size * texelSize;
+    float shadowMapDepth = PCSS_referenceDepth(unpackRGBAToDepth(texture2D(shadowMap, uv + offset)));
     if (shadowMapDepth < zReceiver) {
       blockerSum += shadowMapDepth;
       numBlockers += 1.0;
@@ -167,39 +780,241 @@ float PCSS_findBlocker(sampler2D shadowMap, vec2 uv, float zReceiver, float size
   return numBlockers > 0.0 ? blockerSum / numBlockers : -1.0;
 }
 
-float PCSS_PCF(sampler2D shadowMap, vec2 uv, float zReceiver, float filterRadius) {
+float PCSS_PCF(sampler2D shadowMap, vec2 texelSize, vec2 uv, float zReceiver, float filterRadius) {
   float sum = 0.0;
   for (int i = 0; i < PCSS_SAMPLES; i++) {
-    vec2 offset = PCSS_poissonDisk[i % 16] * filterRadius / 2048.0;
-    float depth = unpackRGBAToDepth(texture2D(shadowMap, uv + offset));
+    vec2 offset = PCSS_poissonDisk[i % 16] * filterRadius * texelSize;
+    float depth = PCSS_referenceDepth(unpackRGBAToDepth(texture2D(shadowMap, uv + offset)));
     sum += step(zReceiver, depth + 0.001);
   }
   return sum / float(PCSS_SAMPLES);
 }
 
-float PCSS_shadow(sampler2D shadowMap, vec4 coords) {
+float PCSS_shadow(sampler2D shadowMap, vec2 shadowMapSize, vec4 coords) {
   vec2 uv = coords.xy;
-  float zReceiver = coords.z;
+  float zReceiver = PCSS_referenceDepth(coords.z);
+  // Kernel in reference-frustum texels, whatever the fitted extent
+  vec2 texelSize = pcssTexelScale / shadowMapSize;
 
   PCSS_initPoissonSamples(uv);
 
-  float avgBlockerDepth = PCSS_findBlocker(shadowMap, uv, zReceiver, PCSS_SIZE);
+  float avgBlockerDepth = PCSS_findBlocker(shadowMap, texelSize, uv, zReceiver, pcssSize);
   if (avgBlockerDepth < 0.0) return 1.0;
 
   float penumbraWidth = PCSS_penumbraSize(zReceiver, avgBlockerDepth);
-  return PCSS_PCF(shadowMap, uv, zReceiver, penumbraWidth * PCSS_SIZE);
+  return PCSS_PCF(shadowMap, texelSize, uv, zReceiver, penumbraWidth * pcssSize);
 }
 `;
 
-// Override the DirectionalLight shadow function
-THREE.ShaderChunk.shadowmap_pars_fragment =
-  THREE.ShaderChunk.shadowmap_pars_fragment
-    .replace("#ifdef USE_SHADOWMAP", "#ifdef USE_SHADOWMAP\n" + pcssGetShadow)
-    .replace("return shadow;", "return PCSS_shadow(shadowMap, shadowCoord);")
-    .replace(
-      /texture2DCompare\s*\(\s*shadowMap\s*,\s*shadowCoord\.xy\s*,\s*shadowCoord\.z\s*\)/g,
-      "PCSS_shadow(shadowMap, shadowCoord)",
+/** Stock shadowmap_pars_fragment with PCSS swapped in for the unfiltered lookup */
+const pcssShadowChunk = THREE.ShaderChunk.shadowmap_pars_fragment
+  .replace("#ifdef USE_SHADOWMAP", "#ifdef USE_SHADOWMAP\n" + pcssGetShadow)
+  .replace(
+    /texture2DCompare\s*\(\s*shadowMap\s*,\s*shadowCoord\.xy\s*,\s*shadowCoord\.z\s*\)/g,
+    "PCSS_shadow(shadowMap, shadowMapSize, shadowCoord)",
+  );
+
+/**
+ * Patch a material's shadow lookup with PCSS (idempotent).
+ * @param {THREE.Material} material
+ */
+function applyPCSS(material) {
+  if (pcss.materials.has(material)) return;
+  pcss.materials.add(material);
+  const previous = material.onBeforeCompile;
+  material.onBeforeCompile = (shader, renderer) => {
+    previous.call(material, shader, renderer);
+    Object.assign(shader.uniforms, pcssUniforms);
+    shader.fragmentShader =
+      `#define PCSS_SAMPLES ${pcss.compiledSamples}\n` +
+      shader.fragmentShader.replace(
+        "#include <shadowmap_pars_fragment>",
+        pcssShadowChunk,
+      );
+  };
+  // Chained, so other patches (baked lightmap blend) keep their part of the key
+  const previousKey = material.customProgramCacheKey;
+  material.customProgramCacheKey = () =>
+    `${previousKey.call(material)}|pcss-${pcss.compiledSamples}`;
+  material.needsUpdate = true;
+}
+
+/** applyPCSS on every shadow-receiving mesh under root */
+function applyPCSSShadows(root) {
+  root.traverse((child) => {
+    if (!child.isMesh || !child.receiveShadow || !child.material) return;
+    (Array.isArray(child.material) ? child.material : [child.material]).forEach(
+      applyPCSS,
     );
+  });
+}
+
+/** Push pcssConfig into the shaders (called every frame — cheap when unchanged) */
+function syncPCSS() {
+  pcssUniforms.pcssSize.value = pcssConfig.size;
+  const samples = THREE.MathUtils.clamp(Math.round(pcssConfig.samples), 1, 16);
+  if (samples === pcss.compiledSamples) return;
+  pcss.compiledSamples = samples;
+  pcss.materials.forEach((material) => {
+    material.needsUpdate = true;
+  });
+}
+
+/**
+ * Apply a shadow quality preset: PCSS samples/size and the sun's shadow map size.
+ * @param {"low" | "medium" | "high" | "ultra"} quality
+ */
+function setShadowQuality(quality) {
+  const preset = shadowQualityPresets[quality];
+  if (!preset) {
+    console.warn("Unknown shadow quality:", quality);
+    return;
+  }
+  pcssConfig.quality = quality;
+  pcssConfig.samples = preset.samples;
+  pcssConfig.size = preset.size;
+  syncPCSS();
+
+  const shadow = window.sunLight?.shadow;
+  if (shadow && shadow.mapSize.x !== preset.mapSize) {
+    shadow.mapSize.set(preset.mapSize, preset.mapSize);
+    // Renderer allocates a new render target at the new size on the next frame
+    shadow.map?.dispose();
+    shadow.map = null;
+  }
+}
+window.setShadowQuality = setShadowQuality;
+
+// ============ SHADOW CAMERA FITTING ============
+// Fits the sun's orthographic shadow frustum to the room shell as seen from
+// the light, instead of a fixed ±50 box, so the whole map lands on the room.
+// Extent is rounded up to a coarse step and the center snapped to a texel
+// grid anchored at the world origin; the sun turns in minSunAngle steps
+// (stepSunPosition), so the map jumps by whole texels instead of shimmering.
+const shadowFitConfig = {
+  margin: 0.5, // world units around the room box (sides and depth)
+  extentStep: 1, // round the frustum size up to this — texel size only changes in steps
+  minSunAngle: THREE.MathUtils.degToRad(0.05), // ≈ one texel at the room's far side
+};
+
+const shadowFit = {
+  room: null, // object the box was taken from
+  box: new THREE.Box3(),
+  corners: Array.from({ length: 8 }, () => new THREE.Vector3()),
+  lightMatrix: new THREE.Matrix4(),
+  // Scratch vectors, reused every fit
+  eye: new THREE.Vector3(),
+  target: new THREE.Vector3(),
+  lightMin: new THREE.Vector3(),
+  lightMax: new THREE.Vector3(),
+  origin: new THREE.Vector3(),
+  lastPosition: new THREE.Vector3(Infinity, Infinity, Infinity),
+  lastMapSize: 0,
+};
+
+/** Re-measure the room shell (room toggle swap, dev nudges) on the next fit */
+function refreshShadowBounds() {
+  shadowFit.room = null;
+  shadowFit.lastMapSize = 0;
+}
+window.refreshShadowBounds = refreshShadowBounds;
+
+/**
+ * Move the sun to position once its direction has turned by minSunAngle, so
+ * the shadow camera (which follows the light) doesn't crawl every frame.
+ * @param {THREE.DirectionalLight} light
+ * @param {THREE.Vector3} position
+ */
+function stepSunPosition(light, position) {
+  const from = shadowFit.eye.subVectors(light.position, light.target.position);
+  const to = shadowFit.target.subVectors(position, light.target.position);
+  if (from.angleTo(to) < shadowFitConfig.minSunAngle) return;
+  light.position.copy(position);
+}
+
+/**
+ * Recompute sunLight.shadow.camera around the room shell in light space.
+ * Cheap no-op unless the sun moved, the room changed or the map was resized.
+ * @param {THREE.DirectionalLight} light
+ */
+function fitSunShadowCamera(light) {
+  const room = window.roomToggle?.newRoomModel || storeModel;
+  if (!room) return;
+  const shadow = light.shadow;
+  if (
+    room === shadowFit.room &&
+    shadow.mapSize.x === shadowFit.lastMapSize &&
+    light.position.distanceToSquared(shadowFit.lastPosition) < 1e-8
+  ) {
+    return;
+  }
+  if (room !== shadowFit.room) {
+    shadowFit.room = room;
+    shadowFit.box.setFromObject(room);
+  }
+  if (shadowFit.box.isEmpty()) return;
+  shadowFit.lastPosition.copy(light.position);
+  shadowFit.lastMapSize = shadow.mapSize.x;
+
+  // World → light view space (same pose DirectionalLightShadow gives its camera)
+  light.updateMatrixWorld();
+  light.target.updateMatrixWorld();
+  const eye = shadowFit.eye.setFromMatrixPosition(light.matrixWorld);
+  const target = shadowFit.target.setFromMatrixPosition(
+    light.target.matrixWorld,
+  );
+  shadowFit.lightMatrix
+    .lookAt(eye, target, shadow.camera.up)
+    .setPosition(eye)
+    .invert();
+
+  const { min, max } = shadowFit.box;
+  const lightMin = shadowFit.lightMin.setScalar(Infinity);
+  const lightMax = shadowFit.lightMax.setScalar(-Infinity);
+  shadowFit.corners.forEach((corner, i) => {
+    corner
+      .set(i & 1 ? max.x : min.x, i & 2 ? max.y : min.y, i & 4 ? max.z : min.z)
+      .applyMatrix4(shadowFit.lightMatrix);
+    lightMin.min(corner);
+    lightMax.max(corner);
+  });
+
+  // Square, stepped extent with a texel-snapped center
+  const { margin, extentStep } = shadowFitConfig;
+  const extent =
+    Math.ceil(
+      (Math.max(lightMax.x - lightMin.x, lightMax.y - lightMin.y) +
+        2 * margin) /
+        extentStep,
+    ) * extentStep;
+  const texel = extent / shadow.mapSize.x;
+  // Grid origin is the world origin in light space, not the light's own eye
+  const origin = shadowFit.origin
+    .set(0, 0, 0)
+    .applyMatrix4(shadowFit.lightMatrix);
+  const centerX =
+    origin.x +
+    Math.round(((lightMin.x + lightMax.x) / 2 - origin.x) / texel) * texel;
+  const centerY =
+    origin.y +
+    Math.round(((lightMin.y + lightMax.y) / 2 - origin.y) / texel) * texel;
+
+  const camera = shadow.camera;
+  camera.left = centerX - extent / 2;
+  camera.right = centerX + extent / 2;
+  camera.bottom = centerY - extent / 2;
+  camera.top = centerY + extent / 2;
+  // Camera looks down -Z: nearest corner has the largest z
+  camera.near = -lightMax.z - margin;
+  camera.far = -lightMin.z + margin;
+  camera.updateProjectionMatrix();
+
+  // Keep PCSS softness and depth biases in reference-frustum units
+  const ref = pcssReferenceFrustum;
+  pcssUniforms.pcssTexelScale.value = ref.extent / extent;
+  pcssUniforms.pcssDepthRange.value.set(camera.near, camera.far);
+  shadow.bias = (ref.bias * (ref.far - ref.near)) / (camera.far - camera.near);
+}
 
 // Initialize RectAreaLight support
 RectAreaLightUniformsLib.init();
@@ -240,16 +1055,293 @@ css2dRenderer.domElement.style.pointerEvents = "none";
 css2dRenderer.domElement.id = "css2d-overlay";
 document.body.appendChild(css2dRenderer.domElement);
 
-// HDRI Environment (for subtle reflections)
-const exrLoader = new EXRLoader();
-exrLoader.load("/hdri/forest.exr", (texture) => {
-  texture.mapping = THREE.EquirectangularReflectionMapping;
-  scene.environment = texture;
+// ============ LOADING MANAGER ============
+// One THREE.LoadingManager is shared by every loader (glTF, Draco, EXR,
+// textures, scene manifest) and the frame video, so the overlay reflects the
+// whole scene rather than just the main model.
+const loadingConfig = {
+  // Dismiss once weighted progress reaches this (0–1). 1 = wait for every
+  // asset; e.g. 0.85 lets visitors in while small props are still streaming.
+  interactiveThreshold: 1,
+  // Relative weight per asset, matched against the URL (unlisted = 1)
+  weights: {
+    "son-and-store-keep-meshes.glb": 10,
+    "forest.exr": 4,
+    "room.gltf": 3,
+    "and-son-video.mp4": 3,
+  },
+  // Safety net once the main model is in: assets that never report
+  // (e.g. video preload blocked on mobile) can't hold the overlay forever
+  maxWaitMs: 30000,
+};
+window.loadingConfig = loadingConfig;
+
+const loadingElement = document.getElementById("loading");
+const progressFill = document.getElementById("progress-fill");
+const progressText = document.getElementById("progress-text");
+const loadingAssetsEl = document.getElementById("loading-assets");
+
+const loadingManager = new THREE.LoadingManager();
+const loadingAssets = new Map(); // url → { name, weight, fraction, status, el }
+// Stages that must finish before the overlay may close, even if no asset is
+// in flight yet (e.g. props are only requested once the main model is in)
+const loadingHolds = new Set(["model", "props"]);
+let loadingDismissed = false;
+let loadingFailed = false; // main model failed — keep the error message up
+window.loadingAssets = loadingAssets;
+
+/** Readable file name for a (possibly URI-encoded) asset URL */
+function assetName(url) {
+  const file = url.split("/").pop();
+  try {
+    return decodeURIComponent(file);
+  } catch {
+    return file;
+  }
+}
+
+/** Get or create the status entry for an asset URL */
+function getLoadingAsset(url) {
+  let asset = loadingAssets.get(url);
+  if (asset) return asset;
+
+  const name = assetName(url);
+  const weightKey = Object.keys(loadingConfig.weights).find((key) =>
+    name.includes(key),
+  );
+  asset = {
+    name,
+    weight: weightKey ? loadingConfig.weights[weightKey] : 1,
+    fraction: 0,
+    status: "loading", // "loading" | "loaded" | "error"
+    el: null,
+  };
+
+  if (loadingAssetsEl) {
+    asset.el = document.createElement("li");
+    loadingAssetsEl.appendChild(asset.el);
+  }
+  loadingAssets.set(url, asset);
+  return asset;
+}
+
+/** Set an asset's progress (0–1) and/or status, then refresh the overlay */
+function updateLoadingAsset(url, fraction, status) {
+  const asset = getLoadingAsset(url);
+  // Errors are final unless a fallback URL replaced the asset
+  if (asset.status === "error" && status !== "fallback") return;
+  if (fraction !== undefined)
+    asset.fraction = Math.max(asset.fraction, fraction);
+  if (status) asset.status = status;
+  if (status && status !== "loading") asset.fraction = 1;
+
+  if (asset.el) {
+    const label =
+      asset.status === "loading"
+        ? `${Math.round(asset.fraction * 100)}%`
+        : asset.status;
+    asset.el.textContent = `${asset.name} — ${label}`;
+    asset.el.className = `loading-asset loading-asset-${asset.status}`;
+  }
+  renderLoadingProgress();
+}
+
+/** Weighted 0–1 progress across every asset seen so far */
+function getLoadingProgress() {
+  let total = 0;
+  let done = 0;
+  loadingAssets.forEach((asset) => {
+    total += asset.weight;
+    done += asset.weight * asset.fraction;
+  });
+  return total > 0 ? done / total : 0;
+}
+
+/** True while any tracked asset is still downloading */
+function loadingPending() {
+  return [...loadingAssets.values()].some((a) => a.status === "loading");
+}
+
+/** Update the progress bar and close the overlay once the scene is ready */
+function renderLoadingProgress() {
+  const progress = getLoadingProgress();
+  const percent = Math.round(progress * 100);
+  progressFill.style.width = `${percent}%`;
+  if (!loadingFailed) progressText.textContent = `${percent}%`;
+
+  if (loadingDismissed || loadingHolds.size > 0) return;
+  if (!loadingPending() || progress >= loadingConfig.interactiveThreshold) {
+    dismissLoading();
+  }
+}
+
+/** Hide the loading overlay (once) */
+function dismissLoading() {
+  if (loadingDismissed) return;
+  loadingDismissed = true;
+  loadingElement.classList.add("hidden");
+}
+
+/** Mark a loading stage as finished (see loadingHolds) */
+function releaseLoadingHold(stage) {
+  loadingHolds.delete(stage);
+  if (stage === "model") {
+    setTimeout(dismissLoading, loadingConfig.maxWaitMs);
+  }
+  renderLoadingProgress();
+}
+
+/** Byte-level onProgress handler for a loader call, keyed by the same URL */
+function trackProgress(url) {
+  return (event) => {
+    if (event.total > 0) updateLoadingAsset(url, event.loaded / event.total);
+  };
+}
+
+// LoadingManager has no per-item start callback — wrap itemStart so pending
+// assets show up in the status list before they finish
+const baseItemStart = loadingManager.itemStart;
+loadingManager.itemStart = (url) => {
+  getLoadingAsset(url);
+  updateLoadingAsset(url);
+  baseItemStart.call(loadingManager, url);
+};
+loadingManager.onProgress = (url) => {
+  if (loadingAssets.get(url)?.status !== "error") {
+    updateLoadingAsset(url, 1, "loaded");
+  }
+};
+loadingManager.onError = (url) => {
+  console.error("Error loading asset:", url);
+  updateLoadingAsset(url, 1, "error");
+  reportAssetIssue(url, "error", "Failed to load");
+};
+
+// ============ ASSET DIAGNOSTICS ============
+// Every failed asset (and every fallback that papered over one) is listed in
+// a dismissible panel so a bad deploy is obvious instead of invisible.
+const diagnosticsEl = document.getElementById("diagnostics");
+const diagnosticsListEl = document.getElementById("diagnostics-list");
+const assetIssues = new Map(); // url → { level, message }
+window.assetIssues = assetIssues;
+
+/**
+ * Record an asset problem and show the diagnostics panel.
+ * @param {string} url - Asset URL (or manifest key for non-file issues)
+ * @param {"error"|"warning"} level
+ * @param {string} message
+ */
+function reportAssetIssue(url, level, message) {
+  assetIssues.set(url, { level, message });
+  renderDiagnostics();
+}
+
+/** Drop a recorded issue (e.g. once a fallback URL loaded instead) */
+function clearAssetIssue(url) {
+  assetIssues.delete(url);
+  renderDiagnostics();
+}
+
+/** Rebuild the diagnostics list; panel opens whenever there is an issue */
+function renderDiagnostics() {
+  if (!diagnosticsEl || !diagnosticsListEl) return;
+  diagnosticsListEl.innerHTML = "";
+  assetIssues.forEach(({ level, message }, url) => {
+    const li = document.createElement("li");
+    li.className = `diagnostics-item diagnostics-${level}`;
+    li.textContent = `${message}: ${url}`;
+    diagnosticsListEl.appendChild(li);
+  });
+  diagnosticsEl.classList.toggle("hidden", assetIssues.size === 0);
+}
+
+document.getElementById("diagnostics-close")?.addEventListener("click", () => {
+  diagnosticsEl.classList.add("hidden");
 });
 
-// Camera mode config: 'mouse' or 'orbit'
+/**
+ * Candidate URLs for an asset, in the order they should be tried:
+ * as given, then the other glTF extension, then the same file one folder
+ * down/up (e.g. /models/sconce.glb → /models/sconce/sconce.gltf).
+ */
+function resolveAssetCandidates(url) {
+  const match = url.match(/^(.*\/)?([^/]+)\.(glb|gltf)$/i);
+  if (!match) return [url];
+
+  const [, dir = "", base, ext] = match;
+  const otherExt = ext.toLowerCase() === "glb" ? "gltf" : "glb";
+  const parentDir = dir.replace(/[^/]+\/$/, "");
+  const inParent = parentDir !== dir && dir.endsWith(`/${base}/`);
+  const altDir = inParent ? parentDir : `${dir}${base}/`;
+
+  const candidates = [
+    url,
+    `${dir}${base}.${otherExt}`,
+    `${altDir}${base}.${ext}`,
+    `${altDir}${base}.${otherExt}`,
+  ];
+  return [...new Set(candidates)];
+}
+
+/**
+ * gltfLoader.load() that walks resolveAssetCandidates() until one loads.
+ * Earlier failed candidates are downgraded to warnings once one succeeds.
+ */
+function loadGLTFWithFallback(url, onLoad, onProgress, onError) {
+  const candidates = resolveAssetCandidates(url);
+
+  const attempt = (index) => {
+    const candidate = candidates[index];
+    gltfLoader.load(
+      candidate,
+      (gltf) => {
+        if (index > 0) {
+          candidates.slice(0, index).forEach((failed) => {
+            updateLoadingAsset(failed, 1, "fallback");
+            clearAssetIssue(failed);
+          });
+          reportAssetIssue(url, "warning", `Loaded fallback ${candidate}`);
+        }
+        onLoad(gltf, candidate);
+      },
+      onProgress,
+      (error) => {
+        if (index + 1 < candidates.length) {
+          attempt(index + 1);
+        } else {
+          console.error(`No loadable candidate for ${url}:`, candidates);
+          // Report the asset once, under the URL that was asked for
+          candidates.slice(1).forEach(clearAssetIssue);
+          if (onError) onError(error);
+        }
+      },
+    );
+  };
+
+  attempt(0);
+}
+
+// HDRI Environment (for subtle reflections)
+const exrLoader = new EXRLoader(loadingManager);
+exrLoader.load(
+  "/hdri/forest.exr",
+  (texture) => {
+    texture.mapping = THREE.EquirectangularReflectionMapping;
+    scene.environment = texture;
+  },
+  trackProgress("/hdri/forest.exr"),
+  () => {
+    // Fall back to the procedural studio room so materials keep reflections
+    console.warn("HDRI failed — using RoomEnvironment for reflections");
+    const pmrem = new THREE.PMREMGenerator(renderer);
+    scene.environment = pmrem.fromScene(new RoomEnvironment(), 0.04).texture;
+    pmrem.dispose();
+  },
+);
+
+// Camera mode config: 'mouse', 'explore', 'walk' or 'orbit' ('fly' while authoring focus targets)
 const cameraConfig = {
-  mode: "mouse", // 'mouse' = mouse-follow, 'orbit' = OrbitControls
+  mode: "mouse", // 'mouse' = mouse-follow, 'explore' = OrbitControls kept inside the room, 'walk' = first person, 'orbit' = free OrbitControls, 'fly' = FlyControls
 };
 window.cameraConfig = cameraConfig;
 
@@ -261,29 +1353,65 @@ const cameraLookCenter = new THREE.Vector3();
 const cameraLookCurrent = new THREE.Vector3();
 const cameraLookRange = { x: 2, y: 1 };
 
-// Raycaster for DJ booth hover detection
-
 // ============ CLICK-TO-FOCUS CAMERA SYSTEM ============
 // Declarative map of clickable mesh names → camera behavior
 // Each target can use EITHER:
 //   cameraPosition + cameraLookAt  — explicit world-space coords (full control)
 //   viewOffset + viewDistance       — auto-computed from mesh bounding box
-// viewDistance only → auto-computes perpendicular view from mesh face normal
-// cameraPosition + cameraLookAt → explicit world-space override
+// Auto-computed views look at the mesh center along its face normal, or from
+//   viewDirection (for props without one clean face, e.g. the rack and table),
+//   backed off until the bounding box fits the viewport — camera FOV + aspect,
+//   a fitPadding margin, minus the screen area the overlay covers
+//   minViewDistance → never closer than this (small meshes, e.g. one hanger)
+//   viewDistance → pin a fixed distance instead of fitting
+// cameraPosition + cameraLookAt → explicit world-space override (not refit)
+// overlay → UI opened once the camera arrives ("mediaPlayer" | "shop",
+//   shop targets also name a shopCatalog)
+// route → URL hash for deep links, e.g. "booth" → #/booth
+// duration / easing → transition timing (seconds, focusEasings name);
+//   waypoints → [x, y, z] points the camera threads through on the way in
+//   (and back out) to steer around the booth or the rack
+// label → name announced to screen readers on arrival
 const focusTargets = {
   FRAME_LEFT_1: {
-    viewDistance: 7.5,
-    lerpBase: 0.008,
+    route: "frame-left-1",
+    label: "Video frame",
+    duration: 1.5,
   },
   FRAME_LEFT_2: {
-    viewDistance: 7.5,
-    lerpBase: 0.008,
+    route: "frame-left-2",
+    label: "Second video frame",
+    duration: 1.5,
   },
   BOOTH_DJ: {
-    // Explicit camera placement — tune these in console then paste back
-    cameraPosition: new THREE.Vector3(11, 7.5, 13),
-    cameraLookAt: new THREE.Vector3(19, 3.5, 0),
-    lerpBase: 0.008,
+    route: "booth",
+    label: "DJ booth",
+    // Same angle as the original authored pose (11, 7.5, 13) → (19, 3.5, 0),
+    // fitted so the booth stays clear of the media player on any screen
+    viewDirection: new THREE.Vector3(-8, 4, 13),
+    fitPadding: 0.15,
+    duration: 1.5,
+    overlay: "mediaPlayer",
+  },
+  // Rack + table: starting poses from the visitor's side of the room —
+  // refine with the focus authoring tool (P in dev)
+  Hanger_1: {
+    route: "rack",
+    label: "Clothing rack",
+    viewDirection: new THREE.Vector3(0.5, 0.4, 1),
+    minViewDistance: 6,
+    duration: 1.5,
+    overlay: "shop",
+    shopCatalog: "clothes",
+  },
+  TABLE: {
+    route: "table",
+    label: "Homegoods table",
+    viewDirection: new THREE.Vector3(0.5, 0.9, 1),
+    minViewDistance: 5,
+    duration: 1.5,
+    overlay: "shop",
+    shopCatalog: "homegoods",
   },
 };
 
@@ -341,13 +1469,19 @@ const mediaPlayer = {
 
 /** Show the media player UI */
 function showMediaPlayer() {
-  if (mediaPlayer.el) mediaPlayer.el.classList.remove("hidden");
+  if (mediaPlayer.el) {
+    mediaPlayer.el.classList.remove("hidden");
+    mediaPlayer.el.inert = false;
+  }
   loadTrack(mediaPlayer.currentIndex);
 }
 
 /** Hide the media player UI */
 function hideMediaPlayer() {
-  if (mediaPlayer.el) mediaPlayer.el.classList.add("hidden");
+  if (mediaPlayer.el) {
+    mediaPlayer.el.classList.add("hidden");
+    mediaPlayer.el.inert = true; // keep hidden controls out of the tab order
+  }
   pauseTrack();
 }
 
@@ -526,6 +1660,7 @@ function setVolume(value) {
 
   // Update numeric display
   if (volumeValEl) volumeValEl.textContent = Math.round(value * 100);
+  if (knobEl) knobEl.setAttribute("aria-valuenow", Math.round(value * 100));
 
   // Rotate knob indicator: 0 → -135°, 1 → 135° (270° sweep)
   if (knobIndicatorEl) {
@@ -617,21 +1752,226 @@ if (knobEl) {
     if (dragging) onDragMove(e.touches[0].clientX, e.touches[0].clientY);
   });
   document.addEventListener("touchend", onDragEnd);
+
+  // Keyboard (role="slider"): arrows nudge by 5, Home/End jump to the ends
+  knobEl.addEventListener("keydown", (e) => {
+    const nudge = {
+      ArrowUp: 0.05,
+      ArrowRight: 0.05,
+      ArrowDown: -0.05,
+      ArrowLeft: -0.05,
+    };
+    if (e.key in nudge) setVolume(mediaPlayer.volume + nudge[e.key]);
+    else if (e.key === "Home") setVolume(0);
+    else if (e.key === "End") setVolume(1);
+    else return;
+    e.preventDefault();
+  });
 }
 
 // Initialize volume on load
 setVolume(0.58);
 
-// Focus mode state
-const cameraFocus = {
-  active: false,
+// ============ SHOP PANELS (rack + table) ============
+// Catalogs come from the "catalog" section of /public/scene.json, keyed by the
+// focus target's shopCatalog:
+//   "catalog": { "clothes": { "title", "subtitle", "href",
+//     "items": [{ "name", "price", "href" }] } }
+// A target whose catalog isn't there just gets the camera move, no panel.
+const shopCatalogs = {};
+
+/** Take the manifest's catalogs, skipping (and reporting) incomplete ones */
+function loadShopCatalogs(catalogs = {}) {
+  for (const [name, catalog] of Object.entries(catalogs)) {
+    const complete =
+      catalog?.title &&
+      catalog.href &&
+      Array.isArray(catalog.items) &&
+      catalog.items.every((item) => item.name && item.price && item.href);
+    if (!complete) {
+      reportAssetIssue(
+        `catalog → ${name}`,
+        "warning",
+        "Catalog needs title, href and items with name/price/href",
+      );
+      continue;
+    }
+    shopCatalogs[name] = catalog;
+  }
+}
+
+const shopPanel = {
+  el: document.getElementById("shop-panel"),
+  titleEl: document.getElementById("shop-title"),
+  subtitleEl: document.getElementById("shop-subtitle"),
+  itemsEl: document.getElementById("shop-items"),
+  ctaEl: document.getElementById("shop-cta"),
+};
+
+/** Fill the shop panel from a catalog and show it */
+function showShopPanel(catalogName) {
+  const catalog = shopCatalogs[catalogName];
+  if (!shopPanel.el || !catalog) return;
+
+  shopPanel.titleEl.textContent = catalog.title;
+  shopPanel.subtitleEl.textContent = catalog.subtitle || "";
+  shopPanel.ctaEl.href = catalog.href;
+
+  shopPanel.itemsEl.innerHTML = "";
+  catalog.items.forEach((item) => {
+    const li = document.createElement("li");
+    li.className = "shop-item";
+
+    const name = document.createElement("span");
+    name.className = "shop-item-name";
+    name.textContent = item.name;
+
+    const price = document.createElement("span");
+    price.className = "shop-item-price";
+    price.textContent = item.price;
+
+    const link = document.createElement("a");
+    link.className = "shop-item-link";
+    link.href = item.href;
+    link.target = "_blank";
+    link.rel = "noopener";
+    link.textContent = "View";
+
+    li.append(name, price, link);
+    shopPanel.itemsEl.appendChild(li);
+  });
+
+  shopPanel.el.classList.remove("hidden");
+  shopPanel.el.inert = false;
+}
+
+/** Hide the shop panel */
+function hideShopPanel() {
+  if (!shopPanel.el) return;
+  shopPanel.el.classList.add("hidden");
+  shopPanel.el.inert = true;
+}
+
+// ============ FOCUS OVERLAYS ============
+// UI a focus target opens once the camera arrives (focusTargets[].overlay)
+// panel → element whose screen area focus framing keeps clear
+// firstControl → where keyboard focus lands when it opens
+// available → false when there's nothing to show (e.g. no catalog data yet)
+const focusOverlays = {
+  mediaPlayer: {
+    show: () => showMediaPlayer(),
+    hide: hideMediaPlayer,
+    panel: () => mediaPlayer.el,
+    firstControl: () => document.getElementById("mp-play"),
+    description: "music player open",
+  },
+  shop: {
+    show: (config) => showShopPanel(config.shopCatalog),
+    hide: hideShopPanel,
+    available: (config) => Boolean(shopCatalogs[config.shopCatalog]),
+    panel: () => shopPanel.el,
+    firstControl: () => shopPanel.itemsEl?.querySelector("a"),
+    description: "shop open",
+  },
+};
+
+/** The overlay a focus target config names, if it has anything to show */
+function focusOverlayFor(config) {
+  const overlay = focusOverlays[config?.overlay];
+  if (!overlay || overlay.available?.(config) === false) return null;
+  return overlay;
+}
+
+/** Show the overlay named by a focus target config and move focus into it */
+function showFocusOverlay(config) {
+  const overlay = focusOverlayFor(config);
+  if (!overlay) return;
+  overlay.show(config);
+  overlay.firstControl()?.focus({ preventScroll: true });
+}
+
+/** Hide every focus overlay */
+function hideFocusOverlays() {
+  Object.values(focusOverlays).forEach((overlay) => overlay.hide());
+}
+
+// ============ FOCUS TRANSITIONS ============
+// Fixed-duration camera moves along a centripetal Catmull-Rom spline through
+// the target's waypoints, with the look-at point eased alongside.
+const focusTransitionDefaults = { duration: 1.5, easing: "easeInOutCubic" };
+
+const focusEasings = {
+  linear: (t) => t,
+  easeInOutSine: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+  easeInOutCubic: (t) =>
+    t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+  easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+  easeOutQuint: (t) => 1 - Math.pow(1 - t, 5),
+};
+
+/**
+ * Start moving the camera from its current pose to (position, lookAt).
+ * Replaces any move already in flight, starting from wherever it got to.
+ * @param {THREE.Vector3} position
+ * @param {THREE.Vector3} lookAt
+ * @param {{ duration?: number, easing?: string, waypoints?: Array,
+ *   onArrive?: Function }} [options]
+ */
+function startFocusTransition(position, lookAt, options = {}) {
+  const waypoints = (options.waypoints || []).map((p) =>
+    new THREE.Vector3().fromArray(toArray3(p)),
+  );
+  cameraFocus.transition = {
+    path: new THREE.CatmullRomCurve3(
+      [camera.position.clone(), ...waypoints, position.clone()],
+      false,
+      "centripetal",
+    ),
+    fromLook: cameraLookCurrent.clone(),
+    toLook: lookAt.clone(),
+    elapsed: 0,
+    duration: Math.max(
+      0.01,
+      options.duration ?? focusTransitionDefaults.duration,
+    ),
+    ease:
+      focusEasings[options.easing] ||
+      focusEasings[focusTransitionDefaults.easing],
+    onArrive: options.onArrive,
+  };
+}
+
+/** Per-frame transition step (called from the animate loop) */
+function updateFocusTransition(delta) {
+  const move = cameraFocus.transition;
+  if (!move) return;
+  move.elapsed += delta;
+  const t = Math.min(1, move.elapsed / move.duration);
+  const eased = move.ease(t);
+
+  // getPointAt is arc-length parameterised, so easing alone shapes the speed
+  move.path.getPointAt(eased, camera.position);
+  cameraLookCurrent.lerpVectors(move.fromLook, move.toLook, eased);
+  camera.lookAt(cameraLookCurrent);
+
+  if (t === 1) {
+    cameraFocus.transition = null;
+    move.onArrive?.();
+  }
+}
+
+// Focus mode state
+const cameraFocus = {
+  active: false,
   transitioning: false,
   meshName: null,
-  targetPosition: new THREE.Vector3(),
-  targetLookAt: new THREE.Vector3(),
+  mesh: null, // framed mesh, kept for refitting on resize
+  config: null, // focusTargets entry being viewed
+  showOverlay: false, // framing reserves room for the overlay
+  transition: null, // move in flight (startFocusTransition)
+  onLeave: null, // runs when the current view is left (exit or hop)
   returnPosition: new THREE.Vector3(),
   returnLookAt: new THREE.Vector3(),
-  lerpBase: 0.003,
   previousCameraMode: null,
 };
 const focusMeshMap = new Map(); // Mesh → config (populated after model loads)
@@ -639,6 +1979,60 @@ const focusMeshMap = new Map(); // Mesh → config (populated after model loads)
 // Close button reference
 const focusCloseBtn = document.getElementById("focus-close-btn");
 
+// ============ KEYBOARD + SCREEN READER ============
+// Hotspots are <button>s: Tab reaches them, arrow keys step between stations
+// and Enter/Space focuses. View changes are read out via a polite live region.
+const srStatusEl = document.getElementById("sr-status");
+const keyboardFocus = {
+  returnEl: null, // hotspot to hand focus back to once the camera returns
+};
+
+/** Read a message out to screen readers */
+function announce(text) {
+  if (!srStatusEl) return;
+  // Clear first so repeating the same message is still announced
+  srStatusEl.textContent = "";
+  requestAnimationFrame(() => {
+    srStatusEl.textContent = text;
+  });
+}
+
+/** Hotspot for a focus target mesh name, if it has one */
+function hotspotFor(meshName) {
+  return hotspots.find((h) => h.meshName === meshName) || null;
+}
+
+/** Move keyboard focus `step` visible hotspots along from `fromEl` (wraps) */
+function cycleHotspot(fromEl, step) {
+  const visible = hotspots.filter((h) => h.css2dObj.visible);
+  if (visible.length === 0) return;
+  const index = visible.findIndex((h) => h.element === fromEl);
+  const next = visible[(index + step + visible.length) % visible.length];
+  next.element.focus({ preventScroll: true });
+}
+
+/** Announce the view the camera just arrived at */
+function announceFocusArrival(config, meshName, overlayShown) {
+  const label = config?.label || meshName;
+  const overlay = overlayShown && focusOverlayFor(config);
+  const detail = overlay ? `, ${overlay.description}` : "";
+  announce(`${label}${detail}. Press Escape to go back.`);
+}
+
+/** Hand keyboard focus back to the hotspot that opened the view */
+function restoreHotspotFocus() {
+  const el = keyboardFocus.returnEl;
+  keyboardFocus.returnEl = null;
+  if (!el) return;
+  // Hotspots stay display:none until the next render — focus after it, and
+  // only if focus was dropped (it sat in an overlay that is now inert)
+  requestAnimationFrame(() => {
+    const current = document.activeElement;
+    if (current && current !== document.body) return;
+    el.focus({ preventScroll: true });
+  });
+}
+
 // ============ VIDEO TEXTURE FOR FRAMES ============
 const videoEl = document.createElement("video");
 videoEl.src = "/videos/and-son-video.mp4";
@@ -648,6 +2042,29 @@ videoEl.muted = true; // muted so autoplay works; unmute after first interaction
 videoEl.playsInline = true;
 videoEl.preload = "auto";
 
+// Report the video to the shared loading manager (it isn't fetched by a loader)
+{
+  const videoUrl = "/videos/and-son-video.mp4";
+  let settled = false;
+  loadingManager.itemStart(videoUrl);
+  videoEl.addEventListener("progress", () => {
+    if (settled || !videoEl.duration || !videoEl.buffered.length) return;
+    const buffered = videoEl.buffered.end(videoEl.buffered.length - 1);
+    updateLoadingAsset(videoUrl, buffered / videoEl.duration);
+  });
+  videoEl.addEventListener("loadeddata", () => {
+    if (settled) return;
+    settled = true;
+    loadingManager.itemEnd(videoUrl);
+  });
+  videoEl.addEventListener("error", () => {
+    if (settled) return;
+    settled = true;
+    loadingManager.itemError(videoUrl);
+    loadingManager.itemEnd(videoUrl);
+  });
+}
+
 const videoTexture = new THREE.VideoTexture(videoEl);
 videoTexture.colorSpace = THREE.SRGBColorSpace;
 videoTexture.minFilter = THREE.LinearFilter;
@@ -682,66 +2099,238 @@ function getMeshWorldNormal(mesh) {
   return avg;
 }
 
-/** Compute where the camera should go when focusing on a mesh */
-function computeFocusCamera(mesh, config) {
+/** Vector3 or [x, y, z] → [x, y, z] */
+function toArray3(v) {
+  return Array.isArray(v) ? v : v.toArray();
+}
+
+// ============ FOCUS FRAMING ============
+const focusFramingDefaults = {
+  padding: 0.1, // margin around the fitted bounding box (fraction of its size)
+  minFreeArea: 0.4, // ignore an overlay that would leave less screen than this
+};
+
+/**
+ * Part of the viewport an overlay panel leaves free — the bigger of the strip
+ * left of it and the strip below it — as NDC center + half-size.
+ * @param {HTMLElement | null} panelEl
+ */
+function focusViewport(panelEl) {
+  const full = { centerX: 0, centerY: 0, halfWidth: 1, halfHeight: 1 };
+  const rect = panelEl?.getBoundingClientRect();
+  if (!rect || rect.width === 0 || rect.height === 0) return full;
+
+  const w = window.innerWidth;
+  const h = window.innerHeight;
+  const leftArea = Math.max(0, rect.left) * h;
+  const belowArea = w * Math.max(0, h - rect.bottom);
+  if (
+    Math.max(leftArea, belowArea) <
+    w * h * focusFramingDefaults.minFreeArea
+  ) {
+    return full; // panel covers most of the screen — frame as if it weren't there
+  }
+
+  const [x0, y0, x1, y1] =
+    leftArea >= belowArea ? [0, 0, rect.left, h] : [0, rect.bottom, w, h];
+  return {
+    centerX: (x0 + x1) / w - 1,
+    centerY: 1 - (y0 + y1) / h,
+    halfWidth: (x1 - x0) / w,
+    halfHeight: (y1 - y0) / h,
+  };
+}
+
+/**
+ * Distance along `direction` at which `box` fills the free viewport, plus the
+ * sideways pan that centres it there.
+ * @param {THREE.Box3} box
+ * @param {THREE.Vector3} center - look-at point (box center)
+ * @param {THREE.Vector3} direction - unit vector from the subject to the camera
+ * @param {ReturnType<typeof focusViewport>} view
+ * @param {{ padding: number, minDistance: number }} options
+ */
+function fitFocusCamera(
+  box,
+  center,
+  direction,
+  view,
+  { padding, minDistance },
+) {
+  const forward = direction.clone().negate();
+  const right = new THREE.Vector3().crossVectors(forward, camera.up);
+  if (right.lengthSq() < 1e-6) right.set(1, 0, 0); // looking straight down
+  right.normalize();
+  const up = new THREE.Vector3().crossVectors(right, forward);
+
+  const tanV = Math.tan(THREE.MathUtils.degToRad(camera.fov / 2));
+  const tanH = tanV * camera.aspect;
+  const fitH = (tanH * view.halfWidth) / (1 + padding);
+  const fitV = (tanV * view.halfHeight) / (1 + padding);
+
+  // Every corner must sit inside the frustum: |offset| / (distance - depth) ≤ tan
+  let distance = minDistance;
+  const corner = new THREE.Vector3();
+  for (let i = 0; i < 8; i++) {
+    corner
+      .set(
+        i & 1 ? box.max.x : box.min.x,
+        i & 2 ? box.max.y : box.min.y,
+        i & 4 ? box.max.z : box.min.z,
+      )
+      .sub(center);
+    const depth = corner.dot(direction);
+    distance = Math.max(
+      distance,
+      Math.abs(corner.dot(right)) / fitH + depth,
+      Math.abs(corner.dot(up)) / fitV + depth,
+    );
+  }
+
+  const pan = right
+    .multiplyScalar(-view.centerX * tanH * distance)
+    .add(up.multiplyScalar(-view.centerY * tanV * distance));
+  return { distance, pan };
+}
+
+/**
+ * Compute where the camera should go when focusing on a mesh
+ * @param {THREE.Object3D} mesh
+ * @param {object} config - focusTargets entry
+ * @param {{ overlay?: boolean }} [options] - overlay: keep the target's
+ *   overlay panel clear of the subject
+ */
+function computeFocusCamera(mesh, config, { overlay = false } = {}) {
   // Explicit world-space overrides — full control per target
+  // (Vector3 or [x, y, z], so JSON exported by the authoring tool pastes in)
   if (config.cameraPosition && config.cameraLookAt) {
     return {
-      position: config.cameraPosition.clone(),
-      lookAt: config.cameraLookAt.clone(),
+      position: new THREE.Vector3().fromArray(toArray3(config.cameraPosition)),
+      lookAt: new THREE.Vector3().fromArray(toArray3(config.cameraLookAt)),
     };
   }
 
-  // Auto-compute: perpendicular to mesh face at viewDistance
+  // Auto-compute: look at the mesh center along its face normal / viewDirection
   const box = new THREE.Box3().setFromObject(mesh);
   const center = box.getCenter(new THREE.Vector3());
-  const normal = config.worldNormal
-    ? config.worldNormal.clone()
-    : getMeshWorldNormal(mesh);
-  const dist = config.viewDistance || 2.0;
-
-  const position = center.clone().add(normal.clone().multiplyScalar(dist));
-  const lookAt = center.clone();
+  const normal = config.viewDirection
+    ? new THREE.Vector3().fromArray(toArray3(config.viewDirection)).normalize()
+    : config.worldNormal
+      ? config.worldNormal.clone()
+      : getMeshWorldNormal(mesh);
+
+  // Fixed distance (or nothing to fit, e.g. an authoring preview of an empty node)
+  if (config.viewDistance || box.isEmpty()) {
+    const dist = config.viewDistance || 2.0;
+    const position = center.clone().add(normal.clone().multiplyScalar(dist));
+    return { position, lookAt: center.clone() };
+  }
 
+  // Fit the bounding box to the viewport (minus the overlay's panel)
+  const panel = overlay ? focusOverlayFor(config)?.panel() : null;
+  const { distance, pan } = fitFocusCamera(
+    box,
+    center,
+    normal,
+    focusViewport(panel),
+    {
+      padding: config.fitPadding ?? focusFramingDefaults.padding,
+      minDistance: config.minViewDistance || 0,
+    },
+  );
+  const lookAt = center.clone().add(pan);
+  const position = lookAt.clone().add(normal.multiplyScalar(distance));
   return { position, lookAt };
 }
 
-/** Enter focus mode — lerp camera to viewing position in front of mesh */
-function enterFocusMode(mesh, config) {
+/** Re-frame the current focus target for a resized viewport */
+function refitFocusView() {
+  if (!cameraFocus.active || !cameraFocus.mesh) return;
+  const { position, lookAt } = computeFocusCamera(
+    cameraFocus.mesh,
+    cameraFocus.config,
+    { overlay: cameraFocus.showOverlay },
+  );
+
+  const move = cameraFocus.transition;
+  if (move) {
+    // Still flying in — bend the end of the path to the new framing
+    move.path.points[move.path.points.length - 1].copy(position);
+    move.path.updateArcLengths();
+    move.toLook.copy(lookAt);
+  } else {
+    camera.position.copy(position);
+    cameraLookCurrent.copy(lookAt);
+    camera.lookAt(cameraLookCurrent);
+  }
+}
+
+/**
+ * Enter focus mode — lerp camera to viewing position in front of mesh.
+ * Calling it while already focused hops straight to the new target and keeps
+ * the original return pose (authoring previews, attract mode).
+ * @param {THREE.Object3D} mesh
+ * @param {object} config - focusTargets entry
+ * @param {{ showOverlay?: boolean, onArrive?: Function, onLeave?: Function }}
+ *   [options] - showOverlay: false skips the target's media player / shop
+ *   panel (e.g. unattended attract loop); onArrive fires once the camera
+ *   settles, onLeave when this view is exited or hopped away from
+ */
+function enterFocusMode(
+  mesh,
+  config,
+  { showOverlay = true, onArrive, onLeave } = {},
+) {
   // Use the primary focus mesh if specified (e.g. decal → booth)
   const targetMesh = config.focusMesh || mesh;
 
-  // Save return targets
-  cameraFocus.returnPosition.copy(camera.position);
-  cameraFocus.returnLookAt.copy(cameraLookCurrent);
+  if (cameraFocus.active || cameraFocus.transitioning) {
+    // Hopping between targets — tidy up the previous one
+    leaveFocusView();
+  } else {
+    // Save return targets
+    cameraFocus.returnPosition.copy(camera.position);
+    cameraFocus.returnLookAt.copy(cameraLookCurrent);
+    keyboardFocus.returnEl =
+      hotspots.find((h) => h.element === document.activeElement)?.element ||
+      hotspotFor(targetMesh.name)?.element ||
+      null;
+  }
 
   // Compute focus targets
-  const { position, lookAt } = computeFocusCamera(targetMesh, config);
-  cameraFocus.targetPosition.copy(position);
-  cameraFocus.targetLookAt.copy(lookAt);
-  cameraFocus.lerpBase = config.lerpBase;
+  const wantsOverlay = Boolean(config.overlay && showOverlay);
+  const { position, lookAt } = computeFocusCamera(targetMesh, config, {
+    overlay: wantsOverlay,
+  });
   cameraFocus.meshName = targetMesh.name;
+  cameraFocus.mesh = targetMesh;
+  cameraFocus.showOverlay = wantsOverlay;
+
+  // Debug: log computed positions while authoring focus targets (P in dev)
+  if (focusAuthoring.enabled) {
+    console.log(`Focus → ${targetMesh.name}`);
+    console.log(
+      `  center:`,
+      lookAt.toArray().map((v) => +v.toFixed(2)),
+    );
+    console.log(
+      `  cameraPos:`,
+      position.toArray().map((v) => +v.toFixed(2)),
+    );
+    console.log(
+      `  normal:`,
+      getMeshWorldNormal(targetMesh)
+        .toArray()
+        .map((v) => +v.toFixed(2)),
+    );
+  }
 
-  // Debug: log computed positions so you can tune or switch to explicit mode
-  console.log(`Focus → ${targetMesh.name}`);
-  console.log(
-    `  center:`,
-    lookAt.toArray().map((v) => +v.toFixed(2)),
-  );
-  console.log(
-    `  cameraPos:`,
-    position.toArray().map((v) => +v.toFixed(2)),
-  );
-  console.log(
-    `  normal:`,
-    getMeshWorldNormal(targetMesh)
-      .toArray()
-      .map((v) => +v.toFixed(2)),
-  );
+  // Hand the mouse back so the overlay can be used
+  if (document.pointerLockElement) document.exitPointerLock();
 
   // Save and disable OrbitControls
   cameraFocus.previousCameraMode = cameraConfig.mode;
-  if (cameraConfig.mode === "orbit") {
+  if (usesOrbitControls(cameraConfig.mode)) {
     controls.enabled = false;
   }
 
@@ -749,47 +2338,88 @@ function enterFocusMode(mesh, config) {
   cameraFocus.transitioning = true;
 
   // Show close button
-  if (focusCloseBtn) focusCloseBtn.classList.remove("hidden");
+  if (focusCloseBtn) {
+    focusCloseBtn.classList.remove("hidden");
+    focusCloseBtn.inert = false;
+  }
 
   // Play video if this frame has a video plane (resume from where it left off)
-  if (videoPlanes.has(mesh.name)) {
+  if (videoPlanes.has(targetMesh.name)) {
     videoEl.play().catch(() => {});
   }
 
-  // Show media player when focusing on DJ booth
-  if (targetMesh.name === "BOOTH_DJ") {
-    // Delay until camera lerp finishes (handled in animate loop)
-    cameraFocus._showMediaPlayerOnArrival = true;
-  }
+  cameraFocus.config = config;
+  cameraFocus.onLeave = () => {
+    hideFocusOverlays();
+    videoEl.pause();
+    onLeave?.();
+  };
+  startFocusTransition(position, lookAt, {
+    duration: config.duration,
+    easing: config.easing,
+    waypoints: config.waypoints,
+    onArrive: () => {
+      cameraFocus.transitioning = false;
+      // Show the target's overlay (media player, shop panel)
+      if (wantsOverlay) showFocusOverlay(config);
+      announceFocusArrival(config, targetMesh.name, wantsOverlay);
+      onArrive?.();
+    },
+  });
+
+  // Mirror into the URL (#/booth) so the view can be shared / backed out of
+  pushFocusRoute(targetMesh.name);
 }
 
-/** Exit focus mode — lerp camera back to saved return position */
-function exitFocusMode() {
-  if (!cameraFocus.active && !cameraFocus.transitioning) return;
+/** Run (once) the onLeave hooks of the view being left */
+function leaveFocusView() {
+  const onLeave = cameraFocus.onLeave;
+  cameraFocus.onLeave = null;
+  onLeave?.();
+}
 
-  cameraFocus.targetPosition.copy(cameraFocus.returnPosition);
-  cameraFocus.targetLookAt.copy(cameraFocus.returnLookAt);
+/** Exit focus mode — move the camera back to the saved return position */
+function exitFocusMode() {
+  // Already on the way back — let that move finish
+  if (!cameraFocus.active) return;
+
+  // Retrace the way in, backwards
+  const config = cameraFocus.config || {};
+  startFocusTransition(cameraFocus.returnPosition, cameraFocus.returnLookAt, {
+    duration: config.duration,
+    easing: config.easing,
+    waypoints: config.waypoints?.slice().reverse(),
+    onArrive: finishFocusReturn,
+  });
   cameraFocus.active = false;
   cameraFocus.transitioning = true;
 
   // Hide close button
-  if (focusCloseBtn) focusCloseBtn.classList.add("hidden");
+  if (focusCloseBtn) {
+    focusCloseBtn.classList.add("hidden");
+    focusCloseBtn.inert = true;
+  }
 
-  // Hide media player
-  hideMediaPlayer();
+  // Hide media player / shop panel, pause video
+  leaveFocusView();
 
-  // Pause video
-  videoEl.pause();
+  // Back to the plain URL
+  clearFocusRoute();
 }
 
 /** Called when camera arrives back at return position */
 function finishFocusReturn() {
   cameraFocus.transitioning = false;
   cameraFocus.meshName = null;
+  cameraFocus.mesh = null;
+  cameraFocus.config = null;
+
+  announce("Back to the store.");
+  restoreHotspotFocus();
 
   // Restore previous camera mode
-  if (cameraFocus.previousCameraMode === "orbit") {
-    cameraConfig.mode = "orbit";
+  if (usesOrbitControls(cameraFocus.previousCameraMode)) {
+    cameraConfig.mode = cameraFocus.previousCameraMode;
     controls.target.copy(cameraFocus.returnLookAt);
     controls.enabled = true;
     controls.update();
@@ -798,11 +2428,143 @@ function finishFocusReturn() {
 }
 
 // Track mouse position (normalized -1 to 1)
-window.addEventListener("mousemove", (e) => {
+// Pointer events so a tap's compatibility mousemove doesn't jerk the camera
+window.addEventListener("pointermove", (e) => {
+  if (e.pointerType !== "mouse") return;
   mouseTarget.x = (e.clientX / window.innerWidth) * 2 - 1;
   mouseTarget.y = -(e.clientY / window.innerHeight) * 2 + 1;
 });
 
+// ============ TOUCH + GYRO LOOK ============
+// Phones and tablets have no hover, so mouse mode is driven by a drag-to-look
+// gesture or (opt-in) device tilt. Both feed mouseTarget, clamped to ±1 so the
+// look never leaves cameraLookRange.
+const touchLookConfig = {
+  dragSensitivity: 1.5, // mouseTarget units per full screen width/height dragged
+  gyroRange: { x: 25, y: 15 }, // degrees of tilt that reach the edge of cameraLookRange
+};
+window.touchLookConfig = touchLookConfig;
+
+const touchLook = {
+  available: window.matchMedia("(pointer: coarse)").matches,
+  drag: null, // { pointerId, x, y, startX, startY } while a finger is down
+  gyro: false,
+  gyroBase: null, // orientation captured on recenter
+};
+window.touchLook = touchLook;
+
+const lookControlsEl = document.getElementById("look-controls");
+const lookGyroBtn = document.getElementById("look-gyro-btn");
+const lookRecenterBtn = document.getElementById("look-recenter-btn");
+
+const clampLook = (v) => Math.max(-1, Math.min(1, v));
+
+/** Look straight ahead again (gyro re-zeroes on its next reading) */
+function recenterLook() {
+  mouseTarget.x = 0;
+  mouseTarget.y = 0;
+  touchLook.gyroBase = null;
+}
+
+/** Device tilt in screen space (degrees): x = turn right, y = tilt up */
+function screenTilt(e) {
+  const angle = screen.orientation?.angle ?? window.orientation ?? 0;
+  switch ((angle + 360) % 360) {
+    case 90:
+      return { x: -e.beta, y: -e.gamma };
+    case 180:
+      return { x: -e.gamma, y: -e.beta };
+    case 270:
+      return { x: e.beta, y: e.gamma };
+    default:
+      return { x: e.gamma, y: e.beta };
+  }
+}
+
+function onDeviceOrientation(e) {
+  if (e.beta === null || e.gamma === null) return;
+  if (cameraConfig.mode !== "mouse") return;
+  const tilt = screenTilt(e);
+  if (!touchLook.gyroBase) touchLook.gyroBase = tilt;
+  mouseTarget.x = clampLook(
+    (tilt.x - touchLook.gyroBase.x) / touchLookConfig.gyroRange.x,
+  );
+  mouseTarget.y = clampLook(
+    (tilt.y - touchLook.gyroBase.y) / touchLookConfig.gyroRange.y,
+  );
+}
+
+/** Turn gyro look on/off — must run inside a tap for the iOS permission prompt */
+async function setGyroLook(enabled) {
+  if (enabled === touchLook.gyro) return;
+  if (enabled) {
+    if (typeof DeviceOrientationEvent === "undefined") return;
+    // iOS 13+ gates motion sensors behind an explicit permission request
+    if (typeof DeviceOrientationEvent.requestPermission === "function") {
+      try {
+        const state = await DeviceOrientationEvent.requestPermission();
+        if (state !== "granted") return;
+      } catch (err) {
+        console.warn("Motion permission request failed:", err);
+        return;
+      }
+    }
+    recenterLook();
+    window.addEventListener("deviceorientation", onDeviceOrientation);
+  } else {
+    window.removeEventListener("deviceorientation", onDeviceOrientation);
+  }
+  touchLook.gyro = enabled;
+  lookGyroBtn?.setAttribute("aria-pressed", String(enabled));
+}
+
+/** Show the look buttons on touch screens while the mouse-follow camera is live */
+function updateLookControls(isFocused) {
+  if (!lookControlsEl) return;
+  const show =
+    touchLook.available && cameraConfig.mode === "mouse" && !isFocused;
+  if (show === !lookControlsEl.classList.contains("hidden")) return;
+  lookControlsEl.classList.toggle("hidden", !show);
+  lookControlsEl.inert = !show;
+}
+
+// Drag to look — the scene follows the finger, like panning a photo
+canvas.addEventListener("pointerdown", (e) => {
+  if (e.pointerType === "mouse" || touchLook.drag || touchLook.gyro) return;
+  if (cameraConfig.mode !== "mouse") return;
+  if (cameraFocus.active || cameraFocus.transitioning) return;
+  touchLook.drag = {
+    pointerId: e.pointerId,
+    x: e.clientX,
+    y: e.clientY,
+    startX: mouseTarget.x,
+    startY: mouseTarget.y,
+  };
+});
+canvas.addEventListener("pointermove", (e) => {
+  const drag = touchLook.drag;
+  if (!drag || e.pointerId !== drag.pointerId) return;
+  const s = touchLookConfig.dragSensitivity;
+  mouseTarget.x = clampLook(
+    drag.startX - ((e.clientX - drag.x) / window.innerWidth) * s,
+  );
+  mouseTarget.y = clampLook(
+    drag.startY + ((e.clientY - drag.y) / window.innerHeight) * s,
+  );
+});
+["pointerup", "pointercancel"].forEach((type) =>
+  canvas.addEventListener(type, (e) => {
+    if (touchLook.drag?.pointerId === e.pointerId) touchLook.drag = null;
+  }),
+);
+
+if (lookGyroBtn) {
+  lookGyroBtn.addEventListener("click", () => setGyroLook(!touchLook.gyro));
+}
+if (lookRecenterBtn) {
+  lookRecenterBtn.addEventListener("click", recenterLook);
+}
+
 // OrbitControls setup
 const controls = new OrbitControls(camera, canvas);
 controls.enableDamping = true;
@@ -811,6 +2573,169 @@ controls.minDistance = 1;
 controls.maxDistance = 100;
 controls.enabled = false; // Start with mouse mode
 
+// ============ EXPLORE MODE (bounded orbit) ============
+// Visitors can look around without leaving the store: OrbitControls with
+// angle/distance limits, the camera clamped inside the room shell's bounding
+// box and pulled in front of any wall between it and the orbit target.
+const exploreConfig = {
+  wallPadding: 0.5, // keep the camera this far inside walls / the room box
+  minPolarAngle: THREE.MathUtils.degToRad(40),
+  maxPolarAngle: THREE.MathUtils.degToRad(95),
+  azimuthRange: THREE.MathUtils.degToRad(70), // either side of the entrance view
+  minDistance: 1.5,
+  maxDistance: 12,
+};
+window.exploreConfig = exploreConfig;
+
+// Free-orbit limits (dev / console 'orbit' mode) to restore after exploring
+const freeOrbitLimits = {
+  minPolarAngle: controls.minPolarAngle,
+  maxPolarAngle: controls.maxPolarAngle,
+  minAzimuthAngle: controls.minAzimuthAngle,
+  maxAzimuthAngle: controls.maxAzimuthAngle,
+  minDistance: controls.minDistance,
+  maxDistance: controls.maxDistance,
+  enablePan: controls.enablePan,
+};
+
+const explore = {
+  bounds: new THREE.Box3(),
+  collider: null, // room shell the camera can't pass through
+  raycaster: new THREE.Raycaster(),
+};
+
+/** Modes driven by OrbitControls */
+function usesOrbitControls(mode) {
+  return mode === "orbit" || mode === "explore";
+}
+
+/** Room shell (manifest room, else the store model) bounds + collider */
+function refreshExploreBounds() {
+  const room = window.roomToggle?.newRoomModel || storeModel;
+  if (!room) return false;
+  explore.collider = room;
+  explore.bounds.setFromObject(room).expandByScalar(-exploreConfig.wallPadding);
+  return !explore.bounds.isEmpty();
+}
+
+/** Point OrbitControls' limits at the current mode (explore vs free orbit) */
+function applyOrbitLimits() {
+  if (cameraConfig.mode !== "explore") {
+    Object.assign(controls, freeOrbitLimits);
+    return;
+  }
+  // Azimuth limits are absolute — centre them on the entrance view
+  const offset = cameraBasePosition.clone().sub(cameraLookCenter);
+  const azimuth = Math.atan2(offset.x, offset.z);
+  Object.assign(controls, {
+    minPolarAngle: exploreConfig.minPolarAngle,
+    maxPolarAngle: exploreConfig.maxPolarAngle,
+    minAzimuthAngle: azimuth - exploreConfig.azimuthRange,
+    maxAzimuthAngle: azimuth + exploreConfig.azimuthRange,
+    minDistance: exploreConfig.minDistance,
+    maxDistance: exploreConfig.maxDistance,
+    enablePan: false,
+  });
+}
+
+/** Keep the explore camera inside the room (after controls.update) */
+function constrainExploreCamera() {
+  if (explore.bounds.isEmpty()) return;
+  explore.bounds.clampPoint(controls.target, controls.target);
+
+  // Wall collision: pull the camera in front of the first wall behind the target
+  const toCamera = camera.position.clone().sub(controls.target);
+  const distance = toCamera.length();
+  if (explore.collider && distance > 1e-3) {
+    explore.raycaster.set(controls.target, toCamera.divideScalar(distance));
+    explore.raycaster.far = distance + exploreConfig.wallPadding;
+    const hit = explore.raycaster
+      .intersectObject(explore.collider, true)
+      .find((h) => isVisibleInScene(h.object));
+    if (hit) {
+      const safe = Math.max(0, hit.distance - exploreConfig.wallPadding);
+      if (safe < distance) {
+        camera.position.copy(controls.target).addScaledVector(toCamera, safe);
+      }
+    }
+  }
+
+  explore.bounds.clampPoint(camera.position, camera.position);
+  camera.lookAt(controls.target);
+  cameraLookCurrent.copy(controls.target);
+}
+
+const cameraModeEl = document.getElementById("camera-mode");
+const cameraModeButtons = cameraModeEl
+  ? [...cameraModeEl.querySelectorAll("[data-camera-mode]")]
+  : [];
+let cameraModeShown = false; // toggle (and lighting controls) on screen
+
+/**
+ * Switch between the visitor-facing camera modes ('mouse' | 'explore' |
+ * 'walk'); also accepts 'orbit' for free orbit from the console
+ */
+function setCameraMode(mode) {
+  if (mode === cameraConfig.mode) return;
+  if (cameraFocus.active || cameraFocus.transitioning) return;
+  if (editMode.enabled || focusAuthoring.enabled) return;
+  if (mode === "explore" && !refreshExploreBounds()) return;
+  if (mode === "walk" && !startWalking()) return;
+  if (cameraConfig.mode === "walk") stopWalking();
+
+  cameraConfig.mode = mode;
+  applyOrbitLimits();
+  if (usesOrbitControls(mode)) {
+    controls.target.copy(cameraLookCenter);
+    if (mode === "explore") {
+      explore.bounds.clampPoint(camera.position, camera.position);
+    }
+    controls.enabled = true;
+    controls.update();
+  } else {
+    controls.enabled = false;
+    if (mode === "mouse") {
+      camera.position.copy(cameraBasePosition);
+      cameraLookCurrent.copy(cameraLookCenter);
+      camera.lookAt(cameraLookCurrent);
+    }
+  }
+
+  cameraModeButtons.forEach((btn) => {
+    btn.setAttribute("aria-pressed", String(btn.dataset.cameraMode === mode));
+  });
+  announce(
+    {
+      explore: "Explore mode.",
+      walk: "Walk mode. Click to look around, W A S D to move, Escape to release the mouse.",
+    }[mode] || "Guided view.",
+  );
+}
+window.setCameraMode = setCameraMode;
+
+/**
+ * Show the mode toggle once the store is in, outside focus / dev tools. The
+ * lighting switch and time panel follow it, written only when it flips.
+ */
+function updateCameraModeToggle(isFocused) {
+  const show =
+    Boolean(storeModel) &&
+    !isFocused &&
+    !editMode.enabled &&
+    !focusAuthoring.enabled;
+  if (show === cameraModeShown) return;
+  cameraModeShown = show;
+  if (cameraModeEl) {
+    cameraModeEl.classList.toggle("hidden", !show);
+    cameraModeEl.inert = !show;
+  }
+  updateLightingSwitch();
+}
+
+cameraModeButtons.forEach((btn) => {
+  btn.addEventListener("click", () => setCameraMode(btn.dataset.cameraMode));
+});
+
 // Escape key exits focus mode
 window.addEventListener("keydown", (e) => {
   if (e.key === "Escape" && (cameraFocus.active || cameraFocus.transitioning)) {
@@ -826,906 +2751,3143 @@ if (focusCloseBtn) {
   });
 }
 
-// Loading manager
-const loadingElement = document.getElementById("loading");
-const progressFill = document.getElementById("progress-fill");
-const progressText = document.getElementById("progress-text");
+// ============ FOCUS PICKING (hover + click on meshes) ============
+// Pointer raycasting against focusMeshMap, so tapping the booth, the AUW
+// decal or a frame works the same as tapping its hotspot. Hover gives the
+// whole target (e.g. booth + decal) a soft emissive glow and a pointer cursor.
+const focusPicker = {
+  raycaster: new THREE.Raycaster(),
+  pointer: new THREE.Vector2(),
+  pointerDirty: false, // hover raycast runs at most once per frame
+  lastClientX: 0,
+  lastClientY: 0,
+  hoveredKey: null,
+  highlighted: [], // { material, emissive, emissiveIntensity } | { material, color }
+  downAt: null,
+};
+const hoverHighlight = {
+  color: new THREE.Color(0xffe0b2),
+  emissiveIntensity: 0.35,
+  basicBoost: 1.25, // brightness multiplier for unlit (MeshBasic) materials
+};
 
-// DRACO loader (for compressed models)
-const dracoLoader = new DRACOLoader();
-dracoLoader.setDecoderPath(
-  "https://www.gstatic.com/draco/versioned/decoders/1.5.6/",
-);
+/** Target a focus mesh belongs to (proxies like the decal share the booth's) */
+function focusTargetKey(mesh, config) {
+  return (config.focusMesh || mesh).name;
+}
 
-// GLTF loader
-const gltfLoader = new GLTFLoader();
-gltfLoader.setDRACOLoader(dracoLoader);
+/** True when a click on the canvas should be treated as a focus pick */
+function focusPickingEnabled() {
+  return (
+    !cameraFocus.active &&
+    !cameraFocus.transitioning &&
+    !editMode.enabled &&
+    !focusAuthoring.enabled
+  );
+}
 
-// Load model
-gltfLoader.load(
-  "/models/son-and-store-keep-meshes.glb",
-  (gltf) => {
-    const model = gltf.scene;
-    model.rotation.y = -1.1;
-    scene.add(model);
+/**
+ * Raycast the scene at a screen point and return the focus target under it.
+ * Scene geometry occludes; hidden focus meshes (the old FRAME_LEFT_* shells)
+ * still count as click areas for their target.
+ */
+function pickFocusTarget(clientX, clientY) {
+  const { raycaster, pointer } = focusPicker;
+  pointer.x = (clientX / window.innerWidth) * 2 - 1;
+  pointer.y = -(clientY / window.innerHeight) * 2 + 1;
+  raycaster.setFromCamera(pointer, camera);
+
+  for (const hit of raycaster.intersectObjects(scene.children, true)) {
+    let owner = hit.object;
+    while (owner && !focusMeshMap.has(owner)) owner = owner.parent;
+    if (owner) return { mesh: owner, config: focusMeshMap.get(owner) };
+    if (isVisibleInScene(hit.object)) return null; // occluded
+  }
+  return null;
+}
 
-    // Auto-fit camera to model
-    const box = new THREE.Box3().setFromObject(model);
-    const center = box.getCenter(new THREE.Vector3());
-    const size = box.getSize(new THREE.Vector3());
+/** Restore every material the hover highlight touched */
+function clearFocusHighlight() {
+  if (!focusPicker.highlighted.length) return;
+  focusPicker.highlighted.forEach((h) => {
+    if (h.emissive) {
+      h.material.emissive.copy(h.emissive);
+      h.material.emissiveIntensity = h.emissiveIntensity;
+    } else {
+      h.material.color.copy(h.color);
+    }
+  });
+  focusPicker.highlighted = [];
+  // Fixture glow may have dimmed meanwhile — take the current level, not the saved one
+  window.lightSwitch?.practicalLights.forEach(applyLightLevel);
+}
 
-    const maxDim = Math.max(size.x, size.y, size.z);
-    const fov = camera.fov * (Math.PI / 180);
-    let cameraZ = Math.abs(maxDim / 2 / Math.tan(fov / 2));
-    cameraZ *= 0.6; // Add some padding
+/**
+ * Glow every mesh registered for a focus target. Each mesh gets its own
+ * material first, so GLB materials shared with the rest of the store stay put.
+ */
+function applyFocusHighlight(key) {
+  focusMeshMap.forEach((config, root) => {
+    if (focusTargetKey(root, config) !== key) return;
+    root.traverse((child) => {
+      if (!child.isMesh || !child.material || Array.isArray(child.material))
+        return;
+      const material = ownMeshMaterial(child);
+      if (focusPicker.highlighted.some((h) => h.material === material)) return;
+
+      if (material.emissive) {
+        focusPicker.highlighted.push({
+          material,
+          emissive: material.emissive.clone(),
+          emissiveIntensity: material.emissiveIntensity,
+        });
+        material.emissive.copy(hoverHighlight.color);
+        material.emissiveIntensity = hoverHighlight.emissiveIntensity;
+      } else if (material.color) {
+        focusPicker.highlighted.push({
+          material,
+          color: material.color.clone(),
+        });
+        material.color.multiplyScalar(hoverHighlight.basicBoost);
+      }
+    });
+  });
+}
 
-    camera.position.set(
-      center.x + cameraZ * 0.5,
-      center.y + cameraZ * 0.0,
-      center.z + cameraZ,
-    );
-    camera.lookAt(center);
+/** Switch the hover highlight + cursor to a picked target (or none) */
+function setHoveredFocusTarget(pick) {
+  const key = pick ? focusTargetKey(pick.mesh, pick.config) : null;
+  if (key === focusPicker.hoveredKey) return;
 
-    // Store base camera position and look target for mouse-follow
-    cameraBasePosition.copy(camera.position);
-    cameraLookCenter.copy(center);
-    cameraLookCurrent.copy(center);
+  clearFocusHighlight();
+  focusPicker.hoveredKey = key;
+  if (key) applyFocusHighlight(key);
+  canvas.style.cursor = key ? "pointer" : "";
+}
 
-    // Set envMapIntensity and enable shadows on all meshes
-    model.traverse((child) => {
-      if (child.isMesh && child.material) {
-        child.material.envMapIntensity = 0.9;
-        child.castShadow = true;
-        child.receiveShadow = true;
-      }
-    });
+/** Per-frame hover update (called from the animate loop) */
+function updateFocusHover() {
+  if (!focusPickingEnabled()) {
+    setHoveredFocusTarget(null);
+    return;
+  }
+  if (!focusPicker.pointerDirty) return;
+  focusPicker.pointerDirty = false;
+  setHoveredFocusTarget(
+    pickFocusTarget(focusPicker.lastClientX, focusPicker.lastClientY),
+  );
+}
 
-    // Hide cactus, old frames, and old sconces in main model (replaced by separate models)
-    model.traverse((child) => {
-      if (child.name.toLowerCase().includes("cactus")) {
-        child.visible = false;
-      }
-      if (child.name === "FRAME_LEFT_1" || child.name === "FRAME_LEFT_2") {
-        child.visible = false;
-      }
-      if (child.name.toLowerCase().includes("sconce")) {
-        child.visible = false;
-      }
-    });
+canvas.addEventListener("pointermove", (e) => {
+  if (e.pointerType !== "mouse") return; // no hover on touch
+  if (walk.locked) return; // crosshair aims while the mouse is captured
+  focusPicker.lastClientX = e.clientX;
+  focusPicker.lastClientY = e.clientY;
+  focusPicker.pointerDirty = true;
+});
+canvas.addEventListener("pointerleave", () => setHoveredFocusTarget(null));
 
-    // ============ ROOM TEXTURE COMPARISON (TEMPORARY) ============
-    // We have two versions of the room shell (walls + floor only, no interior items):
-    //   OLD: Room meshes baked into son-and-store-keep-meshes.glb, flat colors set in JS
-    //   NEW: Separate room.gltf in /models/room/ with PBR textures (concrete walls, wood plank floor)
-    // Press 'R' to toggle between them for side-by-side comparison.
-    // Once we pick a direction, remove the unused version and this toggle code.
-    // ================================================================
+// Click/tap-to-focus (ignores orbit drags)
+canvas.addEventListener("pointerdown", (e) => {
+  focusPicker.downAt = { x: e.clientX, y: e.clientY };
+});
+canvas.addEventListener("pointerup", (e) => {
+  const downAt = focusPicker.downAt;
+  focusPicker.downAt = null;
+  if (!downAt || !focusPickingEnabled()) return;
+  if (Math.hypot(e.clientX - downAt.x, e.clientY - downAt.y) > 6) return;
+
+  // Pointer-locked walking aims with the crosshair
+  const [x, y] = walk.locked
+    ? [window.innerWidth / 2, window.innerHeight / 2]
+    : [e.clientX, e.clientY];
+  const pick = pickFocusTarget(x, y);
+  if (!pick) return;
+  setHoveredFocusTarget(null);
+  enterFocusMode(pick.mesh, pick.config);
+});
 
-    // Collect old room meshes and hide them immediately (new room.gltf replaces them)
-    const oldRoomMeshes = [];
-    model.traverse((child) => {
-      if (child.name.toLowerCase().includes("room")) {
-        oldRoomMeshes.push(child);
-        child.visible = false;
-      }
-    });
+// ============ WALK MODE (first person) ============
+// Pointer-lock mouse look + WASD on desktop; drag to look and tap the floor
+// to walk there on touch. The eye stays at eyeHeight above the room floor and
+// the walker (a circle of `radius`) is kept inside the room shell and out of
+// the prop / focus-target bounding boxes. Focus views still work — the camera
+// returns to wherever the walker was standing.
+const walkConfig = {
+  eyeHeight: 5.5, // above the room's floor (bottom of its bounding box)
+  radius: 0.6,
+  speed: 4, // units per second (Shift doubles)
+  lookSensitivity: 0.0025, // radians per pixel of mouse / finger movement
+  maxPitch: THREE.MathUtils.degToRad(80),
+  floorNormalY: 0.7, // taps on surfaces flatter than this count as floor
+};
+window.walkConfig = walkConfig;
+
+const walk = {
+  position: new THREE.Vector3(), // eye position
+  yaw: 0,
+  pitch: 0,
+  bounds: new THREE.Box3(), // where the eye may go (room shrunk by radius)
+  floorY: 0,
+  obstacles: [], // Box3 per prop / focus target
+  keys: new Set(),
+  locked: false,
+  glideTo: null, // tap-to-walk destination
+  touch: null, // { pointerId, x, y, lastX, lastY } while a finger is down
+};
+window.walk = walk;
+
+const walkCrosshairEl = document.getElementById("walk-crosshair");
+const walkEuler = new THREE.Euler(0, 0, 0, "YXZ");
+
+/** Room bounds + obstacle boxes for the walker (false if nothing is loaded) */
+function refreshWalkColliders() {
+  const room = window.roomToggle?.newRoomModel || storeModel;
+  if (!room) return false;
+  const roomBox = new THREE.Box3().setFromObject(room);
+  if (roomBox.isEmpty()) return false;
+  walk.floorY = roomBox.min.y;
+  walk.bounds
+    .copy(roomBox)
+    .expandByVector(
+      new THREE.Vector3(-walkConfig.radius, 0, -walkConfig.radius),
+    );
 
-    // Load separate cactus model
-    gltfLoader.load("/models/cactus.glb", (cactusGltf) => {
-      const cactusModel = cactusGltf.scene;
+  // Manifest props (not the room itself) and the clickable store fixtures
+  const solids = Object.values(window.sceneProps || {}).filter(
+    (object) => object !== room,
+  );
+  focusMeshMap.forEach((config, mesh) => {
+    if (!config.focusMesh) solids.push(mesh);
+  });
+  walk.obstacles = solids
+    .filter((object) => isVisibleInScene(object))
+    .map((object) => new THREE.Box3().setFromObject(object))
+    .filter((box) => !box.isEmpty() && !box.containsBox(roomBox));
+  return true;
+}
 
-      // Match the main model rotation
-      cactusModel.rotation.y = -1.1;
+/** Push the walker out of obstacles and back inside the room */
+function resolveWalkCollisions(position) {
+  const feet = walk.floorY;
+  const head = walk.floorY + walkConfig.eyeHeight;
+  const r = walkConfig.radius;
+  for (const box of walk.obstacles) {
+    // Only boxes the walker's body overlaps vertically (not rugs, not shelves overhead)
+    if (box.max.y <= feet + 0.2 || box.min.y >= head) continue;
+    const minX = box.min.x - r;
+    const maxX = box.max.x + r;
+    const minZ = box.min.z - r;
+    const maxZ = box.max.z + r;
+    if (
+      position.x <= minX ||
+      position.x >= maxX ||
+      position.z <= minZ ||
+      position.z >= maxZ
+    ) {
+      continue;
+    }
+    // Out through the nearest side
+    const exits = [
+      [position.x - minX, "x", minX],
+      [maxX - position.x, "x", maxX],
+      [position.z - minZ, "z", minZ],
+      [maxZ - position.z, "z", maxZ],
+    ];
+    const [, axis, value] = exits.reduce((a, b) => (b[0] < a[0] ? b : a));
+    position[axis] = value;
+  }
+  walk.bounds.clampPoint(position, position);
+  position.y = walk.floorY + walkConfig.eyeHeight;
+}
 
-      // Position it (adjust as needed)
-      cactusModel.position.set(0, 0, 0);
+/** Enter walk mode from the current camera pose */
+function startWalking() {
+  if (!refreshWalkColliders()) return false;
+  walkEuler.setFromQuaternion(camera.quaternion);
+  walk.yaw = walkEuler.y;
+  walk.pitch = 0;
+  walk.position.copy(camera.position);
+  walk.glideTo = null;
+  resolveWalkCollisions(walk.position);
+  return true;
+}
 
-      scene.add(cactusModel);
+/** Leave walk mode (release the mouse) */
+function stopWalking() {
+  walk.keys.clear();
+  walk.glideTo = null;
+  walk.touch = null;
+  if (walk.locked) document.exitPointerLock();
+}
 
-      // Expose for positioning in console
-      window.cactusModel = cactusModel;
-      console.log(
-        "Cactus loaded. Adjust position with: cactusModel.position.set(x, y, z)",
-      );
+function turnWalker(dx, dy) {
+  walk.yaw -= dx * walkConfig.lookSensitivity;
+  walk.pitch = THREE.MathUtils.clamp(
+    walk.pitch - dy * walkConfig.lookSensitivity,
+    -walkConfig.maxPitch,
+    walkConfig.maxPitch,
+  );
+}
 
-      // Log cactus meshes and enable shadows
-      const cactusMeshes = [];
-      cactusModel.traverse((child) => {
-        if (child.isMesh) {
-          cactusMeshes.push({ name: child.name, material: child.material });
-          child.castShadow = true;
-          child.receiveShadow = true;
-        }
-      });
-      window.cactusMaterials = cactusMeshes;
-      console.log(
-        "Cactus meshes:",
-        cactusMeshes.map((c) => c.name),
-      );
+/** Per-frame walk update (called from the animate loop) */
+function updateWalkCamera(delta) {
+  const moved = walk.position.clone();
 
-      // Set the colors of the cactus meshes individually
-      // Pot
-      cactusMaterials[0].material.color.set(0x4d1e04);
-      cactusMaterials[0].material.roughness = 0.3;
-      cactusMaterials[0].material.metalness = 0.1;
-      cactusMaterials[0].material.envMapIntensity = 0.9;
-
-      // Spikes
-      cactusMaterials[1].material.color.set(0xffffff);
-      cactusMaterials[1].material.roughness = 0.7;
-      cactusMaterials[1].material.metalness = 0.1;
-      cactusMaterials[1].material.envMapIntensity = 0.9;
-
-      // Body
-      cactusMaterials[2].material.color.set(0x1e2816);
-      cactusMaterials[2].material.roughness = 0.8;
-      cactusMaterials[2].material.metalness = 0.1;
-      cactusMaterials[2].material.envMapIntensity = 0.9;
-
-      // Ground
-      cactusMaterials[3].material.color.set(0x1e2816);
-      cactusMaterials[3].material.roughness = 0.8;
-      cactusMaterials[3].material.metalness = 0.1;
-      cactusMaterials[3].material.envMapIntensity = 0.9;
-    });
+  // WASD relative to where the walker faces (flattened to the floor)
+  const forward = new THREE.Vector3(
+    -Math.sin(walk.yaw),
+    0,
+    -Math.cos(walk.yaw),
+  );
+  const right = new THREE.Vector3(-forward.z, 0, forward.x);
+  const step = new THREE.Vector3();
+  if (walk.keys.has("KeyW")) step.add(forward);
+  if (walk.keys.has("KeyS")) step.sub(forward);
+  if (walk.keys.has("KeyD")) step.add(right);
+  if (walk.keys.has("KeyA")) step.sub(right);
+
+  if (step.lengthSq() > 0) {
+    walk.glideTo = null; // keys take over from a tap-to-walk
+    const run = walk.keys.has("ShiftLeft") || walk.keys.has("ShiftRight");
+    step.normalize().multiplyScalar(walkConfig.speed * (run ? 2 : 1) * delta);
+    walk.position.add(step);
+  } else if (walk.glideTo) {
+    const toGo = walk.glideTo.clone().sub(walk.position).setY(0);
+    const distance = toGo.length();
+    const stride = walkConfig.speed * 1.5 * delta;
+    if (distance <= stride) {
+      walk.position.x = walk.glideTo.x;
+      walk.position.z = walk.glideTo.z;
+      walk.glideTo = null;
+    } else {
+      walk.position.addScaledVector(toGo, stride / distance);
+    }
+  }
+  resolveWalkCollisions(walk.position);
+
+  camera.position.copy(walk.position);
+  walkEuler.set(walk.pitch, walk.yaw, 0);
+  camera.quaternion.setFromEuler(walkEuler);
+  // Keep the look point current so focus views return to this exact pose
+  cameraLookCurrent
+    .copy(camera.position)
+    .add(camera.getWorldDirection(new THREE.Vector3()));
+
+  // Re-aim the crosshair hover when the view changes
+  if (walk.locked && !moved.equals(walk.position)) {
+    focusPicker.pointerDirty = true;
+  }
+}
 
-    // ============ ROOM TOGGLE (Press 'R') ============
-    // Toggle between old room (flat colors from GLB) and new room (textured GLTF)
-    window.roomToggle = {
-      useNewRoom: true, // Start with new textured room
-      oldRoomMeshes: oldRoomMeshes,
-      newRoomModel: null, // Set once loaded
-    };
+/** Tap-to-walk: glide to the floor point under the tap, if it is floor */
+function walkToScreenPoint(clientX, clientY) {
+  const raycaster = focusPicker.raycaster;
+  focusPicker.pointer.set(
+    (clientX / window.innerWidth) * 2 - 1,
+    -(clientY / window.innerHeight) * 2 + 1,
+  );
+  raycaster.setFromCamera(focusPicker.pointer, camera);
+  const hit = raycaster
+    .intersectObjects(scene.children, true)
+    .find((h) => h.object.isMesh && h.face && isVisibleInScene(h.object));
+  if (!hit) return;
+  const normal = hit.face.normal
+    .clone()
+    .transformDirection(hit.object.matrixWorld);
+  if (normal.y < walkConfig.floorNormalY) return;
+  walk.glideTo = hit.point.clone();
+}
 
-    // Load new room model (textured walls + floor with cutout window)
-    gltfLoader.load("/models/room/solo room/room.gltf", (roomGltf) => {
-      const roomModel = roomGltf.scene;
-
-      // Match the main model rotation
-      roomModel.rotation.y = -1.1;
-
-      // Room position offset — tweak these to slide the room
-      roomModel.position.set(4.536, 0, 8.912);
-      window.roomOffset = { x: 4.536, y: 0, z: 8.912 };
-      window.setRoomPos = (x, y, z) => {
-        roomModel.position.set(x, y, z);
-        window.roomOffset = { x, y, z };
-        // console.log(`Room position: (${x}, ${y}, ${z})`);
-      };
-
-      // Move room along its LOCAL axes (accounts for rotation)
-      // forward/back = local Z, left/right = local X, up/down = local Y
-      window.slideRoom = (forward = 9, right = 0, up = 0) => {
-        const dir = new THREE.Vector3(right, up, forward);
-        dir.applyQuaternion(roomModel.quaternion);
-        roomModel.position.add(dir);
-        const p = roomModel.position;
-        console.log(
-          `Room world position: (${p.x.toFixed(3)}, ${p.y.toFixed(3)}, ${p.z.toFixed(3)})`,
-        );
-      };
-
-      // Room shell receives shadows but doesn't cast them
-      // (prevents the ceiling edge from casting a hard line on the back wall)
-      roomModel.traverse((child) => {
-        if (child.isMesh) {
-          child.receiveShadow = true;
-          child.castShadow = false;
-          if (child.material) {
-            child.material.envMapIntensity = 0.9;
-          }
-        }
-      });
+// Desktop: click to capture the mouse (unless the click opened a focus view)
+canvas.addEventListener("click", (e) => {
+  if (cameraConfig.mode !== "walk" || walk.locked) return;
+  if (e.pointerType && e.pointerType !== "mouse") return;
+  if (cameraFocus.active || cameraFocus.transitioning) return;
+  canvas.requestPointerLock();
+});
+document.addEventListener("pointerlockchange", () => {
+  walk.locked = document.pointerLockElement === canvas;
+  walkCrosshairEl?.classList.toggle("hidden", !walk.locked);
+  if (walk.locked) {
+    focusPicker.lastClientX = window.innerWidth / 2;
+    focusPicker.lastClientY = window.innerHeight / 2;
+    focusPicker.pointerDirty = true;
+  } else {
+    walk.keys.clear();
+  }
+});
+document.addEventListener("mousemove", (e) => {
+  if (!walk.locked || cameraConfig.mode !== "walk") return;
+  turnWalker(e.movementX, e.movementY);
+  focusPicker.pointerDirty = true;
+});
 
-      // Log room mesh names for reference
-      const roomMats = {};
-      roomModel.traverse((child) => {
-        if (child.isMesh && child.material) {
-          roomMats[child.name] = child.material;
-        }
-      });
-      window.roomMaterials = roomMats;
-      console.log("Room mesh names:", Object.keys(roomMats));
+window.addEventListener("keydown", (e) => {
+  if (cameraConfig.mode !== "walk") return;
+  if (e.target instanceof HTMLInputElement) return;
+  if (/^Key[WASD]$|^Shift/.test(e.code)) walk.keys.add(e.code);
+});
+window.addEventListener("keyup", (e) => walk.keys.delete(e.code));
+window.addEventListener("blur", () => walk.keys.clear());
+
+// Touch: drag to look, tap the floor to walk there
+canvas.addEventListener("pointerdown", (e) => {
+  if (cameraConfig.mode !== "walk" || e.pointerType === "mouse") return;
+  if (walk.touch) return;
+  walk.touch = {
+    pointerId: e.pointerId,
+    x: e.clientX,
+    y: e.clientY,
+    lastX: e.clientX,
+    lastY: e.clientY,
+  };
+});
+canvas.addEventListener("pointermove", (e) => {
+  const touch = walk.touch;
+  if (!touch || e.pointerId !== touch.pointerId) return;
+  turnWalker(e.clientX - touch.lastX, e.clientY - touch.lastY);
+  touch.lastX = e.clientX;
+  touch.lastY = e.clientY;
+});
+canvas.addEventListener("pointerup", (e) => {
+  const touch = walk.touch;
+  if (!touch || e.pointerId !== touch.pointerId) return;
+  walk.touch = null;
+  // A tap that opened a focus view (handled above) doesn't also walk
+  if (cameraFocus.active || cameraFocus.transitioning) return;
+  if (Math.hypot(e.clientX - touch.x, e.clientY - touch.y) > 6) return;
+  walkToScreenPoint(e.clientX, e.clientY);
+});
+canvas.addEventListener("pointercancel", (e) => {
+  if (walk.touch?.pointerId === e.pointerId) walk.touch = null;
+});
 
-      scene.add(roomModel);
+// ============ WEBXR (VR walk-through) ============
+// "VR" in the camera mode toggle starts an immersive-vr session. The camera
+// rides a rig scaled so a standing visitor's eyes sit at walkConfig.eyeHeight;
+// controller rays select hotspot markers / focus targets (teleport to the
+// target's view), teleport on the floor, and press in-world panels beside the
+// DJ booth that stand in for the HTML media player and video controls.
+// No headset? In dev, ?xr-emulator installs the iwer WebXR runtime (emulated
+// Quest 3) so the VR button, session and controllers run on a desktop — see
+// XR EMULATOR below for the mouse/keyboard bindings.
+renderer.xr.enabled = true;
+
+const xrConfig = {
+  standingEyeHeight: 1.6, // metres — local-floor eye height the rig is scaled from
+  rayLength: 30, // scene units when the ray hits nothing
+  panelWidth: 0.9, // metres
+  panelRedrawInterval: 0.5, // seconds (track progress, play state)
+};
+window.xrConfig = xrConfig;
+
+const xr = {
+  rig: new THREE.Group(), // camera + controllers; teleport moves this
+  world: new THREE.Group(), // hotspot markers + panels, in the scene only while presenting
+  controllers: [],
+  panels: {},
+  reticle: null,
+  raycaster: new THREE.Raycaster(),
+  savedCamera: null, // { position, quaternion, lookAt } to restore on exit
+  walkable: false, // room bounds known — teleports are clamped/collided
+  redrawTimer: 0,
+};
+window.xr = xr;
+
+const xrEnterBtn = document.getElementById("xr-enter-btn");
+
+/** Scene units per metre */
+function xrWorldScale() {
+  return walkConfig.eyeHeight / xrConfig.standingEyeHeight;
+}
+
+/**
+ * A flat canvas-textured panel with pressable buttons.
+ * Button rects are fractions of the panel (0–1, origin top-left).
+ * @param {{ aspect: number, title: string, draw?: Function, buttons: Array }} spec
+ */
+function createXRPanel({ aspect, title, draw, buttons }) {
+  const canvas2d = document.createElement("canvas");
+  canvas2d.width = 512;
+  canvas2d.height = Math.round(512 / aspect);
+  const ctx = canvas2d.getContext("2d");
+  const texture = new THREE.CanvasTexture(canvas2d);
+  texture.colorSpace = THREE.SRGBColorSpace;
+
+  const width = xrConfig.panelWidth * xrWorldScale();
+  const mesh = new THREE.Mesh(
+    new THREE.PlaneGeometry(width, width / aspect),
+    new THREE.MeshBasicMaterial({ map: texture, toneMapped: false }),
+  );
 
-      // Now that the new room is ready, hide the old room meshes
-      oldRoomMeshes.forEach((mesh) => {
-        mesh.visible = false;
+  const panel = {
+    mesh,
+    buttons,
+    redraw() {
+      const { width: w, height: h } = canvas2d;
+      // Same palette as the HTML media player / shop panel
+      ctx.fillStyle = "#2a3040";
+      ctx.fillRect(0, 0, w, h);
+      ctx.strokeStyle = "#364153";
+      ctx.lineWidth = 8;
+      ctx.strokeRect(4, 4, w - 8, h - 8);
+      ctx.fillStyle = "#99a1af";
+      ctx.font = "600 22px system-ui, sans-serif";
+      ctx.textBaseline = "middle";
+      ctx.fillText(title, 24, 32);
+      draw?.(ctx, w, h);
+      buttons.forEach((btn) => {
+        ctx.fillStyle = "#1e2330";
+        ctx.fillRect(btn.x * w, btn.y * h, btn.w * w, btn.h * h);
+        ctx.fillStyle = "#ffffff";
+        ctx.font = "600 26px system-ui, sans-serif";
+        ctx.textAlign = "center";
+        ctx.fillText(
+          typeof btn.label === "function" ? btn.label() : btn.label,
+          (btn.x + btn.w / 2) * w,
+          (btn.y + btn.h / 2) * h,
+        );
+        ctx.textAlign = "left";
       });
+      texture.needsUpdate = true;
+    },
+    /** Press whichever button sits under a ray hit's uv */
+    press(uv) {
+      const x = uv.x;
+      const y = 1 - uv.y;
+      const btn = buttons.find(
+        (b) => x >= b.x && x <= b.x + b.w && y >= b.y && y <= b.y + b.h,
+      );
+      if (!btn) return;
+      btn.onSelect();
+      panel.redraw();
+    },
+  };
+  mesh.userData.xrPanel = panel;
+  panel.redraw();
+  return panel;
+}
 
-      window.roomModel = roomModel;
-      window.roomToggle.newRoomModel = roomModel;
+/** Media player + video controls, standing in front of the DJ booth */
+function buildXRPanels() {
+  if (xr.panels.media) return;
+
+  const row = (i, n) => ({
+    x: 0.05 + (i * 0.9) / n,
+    y: 0.62,
+    w: 0.9 / n - 0.03,
+    h: 0.28,
+  });
+  xr.panels.media = createXRPanel({
+    aspect: 2,
+    title: "NOW PLAYING",
+    draw(ctx) {
+      const track = mediaPlayer.playlist[mediaPlayer.currentIndex];
+      ctx.fillStyle = "#ffffff";
+      ctx.font = "700 30px system-ui, sans-serif";
+      ctx.fillText(track?.title || "", 24, 84);
+      ctx.fillStyle = "#99a1af";
+      ctx.font = "500 22px system-ui, sans-serif";
+      ctx.fillText(
+        `${track?.artist || ""} · VOL ${Math.round(mediaPlayer.volume * 100)}`,
+        24,
+        122,
+      );
+    },
+    buttons: [
+      { ...row(0, 5), label: "⏮", onSelect: prevTrack },
+      {
+        ...row(1, 5),
+        label: () => (mediaPlayer.playing ? "❚❚" : "▶"),
+        onSelect: togglePlay,
+      },
+      { ...row(2, 5), label: "⏭", onSelect: nextTrack },
+      {
+        ...row(3, 5),
+        label: "VOL −",
+        onSelect: () => setVolume(mediaPlayer.volume - 0.1),
+      },
+      {
+        ...row(4, 5),
+        label: "VOL +",
+        onSelect: () => setVolume(mediaPlayer.volume + 0.1),
+      },
+    ],
+  });
 
-      // Everything is ready — hide loading screen
-      loadingElement.classList.add("hidden");
+  xr.panels.video = createXRPanel({
+    aspect: 2,
+    title: "VIDEO",
+    draw(ctx) {
+      ctx.fillStyle = "#ffffff";
+      ctx.font = "700 30px system-ui, sans-serif";
+      ctx.fillText(videoEl.paused ? "Paused" : "Playing", 24, 84);
+    },
+    buttons: [
+      {
+        ...row(0, 3),
+        label: () => (videoEl.paused ? "▶" : "❚❚"),
+        onSelect: () =>
+          videoEl.paused ? videoEl.play().catch(() => {}) : videoEl.pause(),
+      },
+      {
+        ...row(1, 3),
+        label: "RESTART",
+        onSelect: () => {
+          videoEl.currentTime = 0;
+        },
+      },
+      {
+        ...row(2, 3),
+        label: () => (videoEl.muted ? "SOUND ON" : "MUTE"),
+        onSelect: () => {
+          videoEl.muted = !videoEl.muted;
+        },
+      },
+    ],
+  });
 
-      // Add room materials to light switch system if already initialized
-      if (window.lightSwitch) {
-        const isMoody =
-          window.lightSwitch.mode === "moody" ||
-          window.lightSwitch.mode === "night";
-        roomModel.traverse((child) => {
-          if (
-            child.isMesh &&
-            child.material &&
-            child.material.envMapIntensity !== undefined
-          ) {
-            const offVal = 0.55;
-            const onVal = child.material.envMapIntensity;
-            const initVal = isMoody ? offVal : onVal;
-            child.material.envMapIntensity = initVal;
-            window.lightSwitch.materials.push({
-              material: child.material,
-              onIntensity: onVal,
-              offIntensity: offVal,
-              current: initVal,
-              target: initVal,
-            });
-          }
-        });
-      }
+  // Beside the booth, facing back along its view direction
+  const booth = findFocusMesh("BOOTH_DJ");
+  const boothConfig = focusTargets.BOOTH_DJ;
+  if (booth && boothConfig?.viewDirection) {
+    const box = new THREE.Box3().setFromObject(booth);
+    const center = box.getCenter(new THREE.Vector3());
+    const size = box.getSize(new THREE.Vector3());
+    const toViewer = new THREE.Vector3()
+      .fromArray(toArray3(boothConfig.viewDirection))
+      .setY(0)
+      .normalize();
+    const side = new THREE.Vector3(-toViewer.z, 0, toViewer.x);
+    const front = center
+      .clone()
+      .addScaledVector(toViewer, Math.max(size.x, size.z) / 2 + 1);
+    front.y = walk.floorY + walkConfig.eyeHeight * 0.8;
+    const spread = xrConfig.panelWidth * xrWorldScale() * 0.55;
+    [
+      [xr.panels.media, -spread],
+      [xr.panels.video, spread],
+    ].forEach(([panel, offset]) => {
+      panel.mesh.position.copy(front).addScaledVector(side, offset);
+      panel.mesh.lookAt(panel.mesh.position.clone().add(toViewer));
     });
+  }
+  xr.world.add(xr.panels.media.mesh, xr.panels.video.mesh);
+}
 
-    // Get LOGO mesh and material colors (with safety check)
-    const logoMesh = model.getObjectByName("LOGO");
-    if (logoMesh?.material) {
-      logoMesh.material.color.set(0xffffff);
-      logoMesh.material.roughness = 0.8;
-      logoMesh.material.metalness = 0.1;
-      logoMesh.material.envMapIntensity = 1.7;
-      logoMesh.material.emissive.set(0xffffff);
-      logoMesh.material.emissiveIntensity = 0.8;
+/** Glowing markers where the HTML hotspots sit (CSS2D doesn't render in XR) */
+function buildXRMarkers() {
+  xr.world.children
+    .filter((child) => child.userData.xrTarget)
+    .forEach((child) => xr.world.remove(child));
+  const geometry = new THREE.SphereGeometry(0.06 * xrWorldScale(), 16, 12);
+  const material = new THREE.MeshBasicMaterial({ color: 0xffffff });
+  hotspots.forEach((h) => {
+    const mesh = findFocusMesh(h.meshName);
+    if (!mesh) return;
+    const marker = new THREE.Mesh(geometry, material);
+    marker.position.copy(h.css2dObj.position);
+    marker.userData.xrTarget = { mesh, config: focusMeshMap.get(mesh) };
+    xr.world.add(marker);
+  });
+}
+
+/** Controller ray + reticle setup (once) */
+function buildXRControllers() {
+  if (xr.controllers.length) return;
+  const rayGeometry = new THREE.BufferGeometry().setFromPoints([
+    new THREE.Vector3(0, 0, 0),
+    new THREE.Vector3(0, 0, -1),
+  ]);
+  for (let i = 0; i < 2; i++) {
+    const controller = renderer.xr.getController(i);
+    const ray = new THREE.Line(
+      rayGeometry,
+      new THREE.LineBasicMaterial({ color: 0xffffff }),
+    );
+    ray.userData.xrIgnore = true;
+    controller.add(ray);
+    controller.userData.ray = ray;
+    controller.userData.pick = null;
+    controller.addEventListener("select", () => onXRSelect(controller));
+    xr.rig.add(controller);
+    xr.controllers.push(controller);
+  }
+
+  xr.reticle = new THREE.Mesh(
+    new THREE.RingGeometry(0.15, 0.2, 32).rotateX(-Math.PI / 2),
+    new THREE.MeshBasicMaterial({ color: 0xffffff }),
+  );
+  xr.reticle.scale.setScalar(xrWorldScale());
+  xr.reticle.userData.xrIgnore = true;
+  xr.reticle.visible = false;
+  xr.world.add(xr.reticle);
+}
+
+/** What a controller ray points at: panel, focus target, floor, or a blocker */
+function xrPick(controller) {
+  const rotation = new THREE.Matrix4().extractRotation(controller.matrixWorld);
+  xr.raycaster.ray.origin.setFromMatrixPosition(controller.matrixWorld);
+  xr.raycaster.ray.direction.set(0, 0, -1).applyMatrix4(rotation);
+
+  for (const hit of xr.raycaster.intersectObjects(scene.children, true)) {
+    const object = hit.object;
+    if (object.userData.xrIgnore) continue;
+    if (object.userData.xrPanel) return { hit, panel: object.userData.xrPanel };
+    if (object.userData.xrTarget)
+      return { hit, target: object.userData.xrTarget };
+    // Focus meshes count even when hidden (old FRAME_LEFT_* shells)
+    let owner = object;
+    while (owner && !focusMeshMap.has(owner)) owner = owner.parent;
+    if (owner) {
+      return { hit, target: { mesh: owner, config: focusMeshMap.get(owner) } };
     }
-    if (logoMesh) {
-      // Bring logo forward off the wall (local Z) and rotate around Z axis
-      logoMesh.translateZ(1.1);
-      logoMesh.translateY(4.5);
-      logoMesh.translateX(0.8);
-      logoMesh.scale.set(14.8, 14.8, 14.8);
-      window.logoMesh = logoMesh;
+    if (!isVisibleInScene(object)) continue;
+    const normal = hit.face?.normal
+      .clone()
+      .transformDirection(object.matrixWorld);
+    if (normal && normal.y >= walkConfig.floorNormalY) {
+      return { hit, floor: hit.point };
     }
+    return { hit }; // something solid in the way
+  }
+  return null;
+}
 
-    // Floor (ROOM_2) - used when toggled back to old room
-    const floorMesh = model.getObjectByName("ROOM_2");
-    if (floorMesh?.material) {
-      floorMesh.material.color.set(0xd4bc94); // Warmer golden wood (lighter)
-      floorMesh.material.roughness = 0.8;
-      floorMesh.material.envMapIntensity = 0.99;
-      window.floorMaterial = floorMesh.material;
-    }
+/** Move the rig so the visitor's head lands over `point`, optionally facing `lookAt` */
+function xrTeleport(point, lookAt) {
+  if (lookAt) {
+    const dir = lookAt.clone().sub(point);
+    xr.rig.rotation.set(0, Math.atan2(-dir.x, -dir.z), 0);
+  }
+  xr.rig.updateMatrixWorld(true);
+  const head = renderer.xr.getCamera().getWorldPosition(new THREE.Vector3());
+  xr.rig.position.x += point.x - head.x;
+  xr.rig.position.z += point.z - head.z;
+  xr.rig.position.y = walk.floorY;
+}
 
-    // Rug Materials - matte fabric look
-    const rugMesh = model.getObjectByName("Shaggy_carpet");
-    if (rugMesh?.material) {
-      rugMesh.material.roughness = 0.6;
-      rugMesh.material.metalness = 0.0;
-      rugMesh.material.envMapIntensity = 1;
-      // rugMesh.material.metalnessMap = null;
-      // rugMesh.material.roughnessMap = null;
-      // Fix sheen and specular
-      rugMesh.material.sheen = 0; // Disable sheen
-      rugMesh.material.specularIntensity = 0.8; // No specular
-      rugMesh.material.needsUpdate = true;
-      window.rugMaterial = rugMesh.material;
-    }
+/** Controller trigger: press a panel, visit a target, or teleport */
+function onXRSelect(controller) {
+  const pick = controller.userData.pick;
+  if (!pick) return;
+  if (pick.panel) {
+    pick.panel.press(pick.hit.uv);
+  } else if (pick.target) {
+    // Stand where the focus view would put the camera, facing the target
+    const { mesh, config } = pick.target;
+    const targetMesh = config.focusMesh || mesh;
+    const { position, lookAt } = computeFocusCamera(targetMesh, config);
+    if (xr.walkable) resolveWalkCollisions(position);
+    xrTeleport(position, lookAt);
+    if (videoPlanes.has(targetMesh.name)) videoEl.play().catch(() => {});
+    xr.panels.video?.redraw();
+  } else if (pick.floor) {
+    const point = pick.floor.clone();
+    if (xr.walkable) resolveWalkCollisions(point);
+    xrTeleport(point);
+  }
+}
 
-    // ============ DECAL (AUW Logo) on DJ Booth ============
-    const boothMesh = model.getObjectByName("BOOTH_DJ");
-    if (boothMesh) {
-      // Store booth mesh ref for raycasting
+/** Per-frame XR update (called from the animate loop instead of camera modes) */
+function updateXR(delta) {
+  let reticleAt = null;
+  xr.controllers.forEach((controller) => {
+    controller.updateMatrixWorld(true);
+    const pick = xrPick(controller);
+    controller.userData.pick = pick;
+    const length = pick ? pick.hit.distance : xrConfig.rayLength;
+    // Ray lives in rig space — undo the rig scale so it ends on the hit
+    controller.userData.ray.scale.z = length / xr.rig.scale.z;
+    if (pick?.floor && !reticleAt) reticleAt = pick.floor;
+  });
+  if (xr.reticle) {
+    xr.reticle.visible = Boolean(reticleAt);
+    if (reticleAt) xr.reticle.position.copy(reticleAt);
+  }
 
-      const textureLoader = new THREE.TextureLoader();
-      textureLoader.load("/textures/test-decal.png", (texture) => {
-        texture.colorSpace = THREE.SRGBColorSpace;
+  xr.redrawTimer += delta;
+  if (xr.redrawTimer >= xrConfig.panelRedrawInterval) {
+    xr.redrawTimer = 0;
+    Object.values(xr.panels).forEach((panel) => panel.redraw());
+  }
+}
 
-        const decalGeometry = new THREE.PlaneGeometry(1, 1);
-        const decalMaterial = new THREE.MeshBasicMaterial({
-          map: texture,
-          transparent: true,
-          side: THREE.DoubleSide,
-          depthWrite: false,
-        });
+renderer.xr.addEventListener("sessionstart", () => {
+  if (cameraFocus.active || cameraFocus.transitioning) exitFocusMode();
+  if (walk.locked) document.exitPointerLock();
+  xr.walkable = refreshWalkColliders();
+
+  xr.savedCamera = {
+    position: camera.position.clone(),
+    quaternion: camera.quaternion.clone(),
+    lookAt: cameraLookCurrent.clone(),
+  };
+
+  // Start where the visitor is standing (or where the camera was), on the floor
+  const start =
+    cameraConfig.mode === "walk"
+      ? walk.position.clone()
+      : camera.position.clone();
+  if (xr.walkable) resolveWalkCollisions(start);
+  walkEuler.setFromQuaternion(camera.quaternion);
+  xr.rig.position.set(start.x, walk.floorY, start.z);
+  xr.rig.rotation.set(0, walkEuler.y, 0);
+  xr.rig.scale.setScalar(xrWorldScale());
+  xr.rig.add(camera);
+  scene.add(xr.rig, xr.world);
+
+  buildXRControllers();
+  buildXRPanels();
+  buildXRMarkers();
+  if (!mediaPlayer.audio.src) loadTrack(mediaPlayer.currentIndex);
+  announce("Entered VR.");
+});
 
-        const decal = new THREE.Mesh(decalGeometry, decalMaterial);
+renderer.xr.addEventListener("sessionend", () => {
+  scene.remove(xr.rig, xr.world);
+  xr.rig.remove(camera);
+  if (xr.savedCamera) {
+    camera.position.copy(xr.savedCamera.position);
+    camera.quaternion.copy(xr.savedCamera.quaternion);
+    cameraLookCurrent.copy(xr.savedCamera.lookAt);
+    xr.savedCamera = null;
+  }
+  camera.updateMatrixWorld(true);
+  announce("Left VR.");
+});
 
-        // Get booth position and place decal on front face
-        const box = new THREE.Box3().setFromObject(boothMesh);
-        const center = box.getCenter(new THREE.Vector3());
+async function enterXR() {
+  if (renderer.xr.isPresenting) return;
+  try {
+    const session = await navigator.xr.requestSession("immersive-vr", {
+      optionalFeatures: ["local-floor", "bounded-floor"],
+    });
+    renderer.xr.setReferenceSpaceType("local-floor");
+    await renderer.xr.setSession(session);
+  } catch (err) {
+    console.warn("Could not start VR session:", err);
+  }
+}
+window.enterXR = enterXR;
+
+// ============ XR EMULATOR (dev, ?xr-emulator) ============
+// iwer provides navigator.xr with an emulated headset + Touch controllers.
+// While presenting: mouse aims the right controller, click = trigger (select),
+// arrow keys turn the headset.
+const xrEmulator = { device: null, yaw: 0, pitch: 0, headYaw: 0 };
+
+async function installXREmulator() {
+  const { XRDevice, metaQuest3 } = await import("iwer");
+  const device = new XRDevice(metaQuest3);
+  device.installRuntime({ forceInstall: true });
+  device.stereoEnabled = false; // one full-size view on a monitor
+  device.position.set(0, xrConfig.standingEyeHeight, 0);
+  xrEmulator.device = device;
+  window.xrDevice = device; // console access: xrDevice.controllers.left …
+  console.log("WebXR emulator installed (iwer, Meta Quest 3)");
+
+  const setQuaternion = (target, yaw, pitch) => {
+    const q = new THREE.Quaternion().setFromEuler(
+      new THREE.Euler(pitch, yaw, 0, "YXZ"),
+    );
+    target.set(q.x, q.y, q.z, q.w);
+  };
+  const right = () => device.controllers.right;
+
+  canvas.addEventListener("pointermove", (e) => {
+    if (!renderer.xr.isPresenting || !right()) return;
+    xrEmulator.yaw =
+      xrEmulator.headYaw - (e.clientX / window.innerWidth - 0.5) * 1.5;
+    xrEmulator.pitch = -(e.clientY / window.innerHeight - 0.5) * 1.2;
+    setQuaternion(right().quaternion, xrEmulator.yaw, xrEmulator.pitch);
+  });
+  canvas.addEventListener("pointerdown", () => {
+    if (renderer.xr.isPresenting) right()?.updateButtonValue("trigger", 1);
+  });
+  window.addEventListener("pointerup", () => {
+    if (renderer.xr.isPresenting) right()?.updateButtonValue("trigger", 0);
+  });
+  window.addEventListener("keydown", (e) => {
+    if (!renderer.xr.isPresenting) return;
+    if (e.key !== "ArrowLeft" && e.key !== "ArrowRight") return;
+    xrEmulator.headYaw += e.key === "ArrowLeft" ? 0.1 : -0.1;
+    setQuaternion(device.quaternion, xrEmulator.headYaw, 0);
+  });
 
-        decal.position.copy(center);
-        decal.position.z += 1.15; // Offset slightly in front
-        decal.rotation.y = 0.6; // Match model rotation
-        decal.position.x += 2.7;
-        decal.position.y += -2.0;
-        decal.scale.set(0.6, 0.6, 1);
-        scene.add(decal);
+  // Controllers held out in front at chest height
+  device.controllers.right?.position.set(0.2, 1.3, -0.3);
+  device.controllers.left?.position.set(-0.2, 1.3, -0.3);
+}
 
-        // Store decal ref for hover detection
+const xrEmulatorReady =
+  import.meta.env.DEV &&
+  new URLSearchParams(window.location.search).has("xr-emulator")
+    ? installXREmulator().catch((err) =>
+        console.warn("WebXR emulator failed to install:", err),
+      )
+    : Promise.resolve();
+
+// Only offer VR where an immersive session is possible (headset or emulator)
+xrEmulatorReady
+  .then(() => navigator.xr?.isSessionSupported("immersive-vr"))
+  .then((supported) => {
+    if (xrEnterBtn) xrEnterBtn.hidden = !supported;
+  })
+  .catch(() => {});
+xrEnterBtn?.addEventListener("click", enterXR);
 
-        // Register decal as a click target so clicking the logo also focuses the booth
-        const boothConfig = focusTargets.BOOTH_DJ;
-        if (boothConfig && boothMesh) {
-          focusMeshMap.set(decal, { ...boothConfig, focusMesh: boothMesh });
-        }
+// DRACO loader (for compressed models)
+// Decoder is self-hosted in public/draco/ (copied from three/examples/jsm/libs/draco/gltf)
+// so compressed models load on machines without internet
+const DRACO_DECODER_PATH = "/draco/";
+const dracoLoader = new DRACOLoader(loadingManager);
+dracoLoader.setDecoderPath(DRACO_DECODER_PATH);
 
-        window.decal = decal;
-        window.boothMesh = boothMesh;
-        console.log(
-          "Decal placed on BOOTH_DJ at:",
-          center.toArray().map((v) => +v.toFixed(2)),
-        );
-        console.log("Adjust with: decal.position.set(x, y, z)");
-        console.log("Resize with: decal.scale.set(w, h, 1)");
-        console.log(
-          "Booth focus tuning — paste camera.position and cameraLookCurrent into focusTargets.BOOTH_DJ",
-        );
-        console.log(
-          "  Use: camera.position.toArray() and cameraLookCurrent.toArray() while viewing the booth",
+// GLTF loader
+const gltfLoader = new GLTFLoader(loadingManager);
+gltfLoader.setDRACOLoader(dracoLoader);
+
+// ============ OFFLINE KIOSK MODE ============
+// In-store screens run disconnected. `npm run build:kiosk` (or ?kiosk in dev)
+// turns on a startup check that every referenced asset is served locally;
+// anything that would hit the network is listed in the diagnostics panel.
+const OFFLINE_KIOSK =
+  import.meta.env.MODE === "kiosk" ||
+  new URLSearchParams(window.location.search).has("kiosk");
+
+/** True if loading this URL would leave the machine (remote http/ws origin) */
+function isNetworkURL(url) {
+  try {
+    const parsed = new URL(url, window.location.href);
+    return (
+      /^(https?|wss?):$/.test(parsed.protocol) &&
+      parsed.origin !== window.location.origin
+    );
+  } catch {
+    return false;
+  }
+}
+
+/** Report every network URL in a list (kiosk mode only) */
+function checkOfflineAssets(urls) {
+  urls.filter(isNetworkURL).forEach((url) => {
+    console.error("Offline kiosk: network URL referenced:", url);
+    reportAssetIssue(url, "error", "Network URL in offline kiosk mode");
+  });
+}
+
+if (OFFLINE_KIOSK) {
+  checkOfflineAssets([
+    DRACO_DECODER_PATH,
+    videoEl.src,
+    "/hdri/forest.exr",
+    "/models/son-and-store-keep-meshes.glb",
+    ...mediaPlayer.playlist.map((track) => track.src),
+  ]);
+  // Also catch URLs only known at load time (glTF buffers/textures)
+  loadingManager.setURLModifier((url) => {
+    if (isNetworkURL(url)) checkOfflineAssets([url]);
+    return url;
+  });
+  console.log("Offline kiosk mode: network URL check enabled");
+}
+
+// ============ SCENE MANIFEST ============
+// Props (cactus, doll, deck, sconce, frames, room shell) are declared in
+// /public/scene.json: asset url, transform, shadow/env settings and material
+// overrides. Designers can add or move props there without touching JS.
+// Entry fields (all optional except id + url, "defaults" fill in the rest):
+//   position / rotation / scale  — [x, y, z] (null keeps the loaded value)
+//   castShadow / receiveShadow / envMapIntensity — applied to every mesh
+//   materials — { meshOrMaterialName: { color, roughness, ... } }
+//   nodes     — { childNodeName: { position, rotation, scale } }
+//   anchorTo  — main-model mesh names; one clone is centered on each
+//   anchors   — { anchorName: { position, rotation, scale } } overrides for
+//               a clone's final placement (what the edit mode exports)
+//   expose    — window global name for console tweaking
+//   exposeMaterials — window global for its [{ name, material }] mesh list
+//   placeholder — { position, size } of the box shown if the asset fails
+// Top-level "bakes" (see BAKED LIGHTING) maps mesh names to Blender lightmap /
+// AO bakes; they're applied to the store model and every prop as it loads.
+// Top-level "catalog" holds the shop panel products (see SHOP PANELS).
+// Prop-specific wiring (room toggle, video plane nudges) lives in propHooks.
+const sceneManifestPromise = new THREE.FileLoader(loadingManager)
+  .setResponseType("json")
+  .loadAsync("/scene.json");
+
+// Shop catalogs live in the manifest too (see SHOP PANELS)
+sceneManifestPromise
+  .then((manifest) => loadShopCatalogs(manifest.catalog))
+  .catch(() => {}); // manifest failures are reported by the loader
+
+if (OFFLINE_KIOSK) {
+  sceneManifestPromise
+    .then((manifest) =>
+      checkOfflineAssets((manifest.props || []).map((entry) => entry.url)),
+    )
+    .catch(() => {}); // manifest failures are reported by the loader
+}
+
+// ============ BAKED LIGHTING ============
+// Lightmaps and AO baked in Blender, assigned per mesh name through the
+// second UV set (glTF TEXCOORD_1 → uv1). scene.json:
+//   "bakes": {
+//     "intensity": 1,                       // default lightMapIntensity
+//     "replaceLights": ["fillLeft", ...],   // realtime lights dropped once every lightmap is on
+//     "meshes": {
+//       "FLOOR": { "day": "/bakes/floor_day.png", "night": "/bakes/floor_night.png",
+//                  "ao": "/bakes/floor_ao.png", "intensity": 1.2, "aoIntensity": 1 }
+//     }
+//   }
+// With both day and night the shader blends them by lightSwitch.baked (lerped
+// with the rest of the light switch); a single bake is used as-is.
+// .exr bakes load linear, anything else as sRGB.
+// None of the shipped models has a uv1 set yet, so "meshes" is empty. To check
+// the pipeline, export a mesh with a second UV map from Blender, add its day /
+// night bakes under "meshes", then confirm the lights in replaceLights log as
+// replaced and that pressing L blends between the two bakes.
+const bakedUniforms = {
+  bakedNight: { value: 1 },
+};
+const bakeTextures = new Map(); // url → Promise<THREE.Texture>
+const bakedNightMaps = new WeakMap(); // material → nightLightMap uniform
+const bakedMeshNames = new Set(); // meshes whose lightmap is on
+const bakeTextureLoader = new THREE.TextureLoader(loadingManager);
+
+/**
+ * Load (once) a bake texture set up for the uv1 channel.
+ * @param {string} url
+ * @param {boolean} color - sRGB lightmap (true) or linear data like AO (false)
+ * @returns {Promise<THREE.Texture>}
+ */
+function loadBakeTexture(url, color) {
+  if (!bakeTextures.has(url)) {
+    const isEXR = url.toLowerCase().endsWith(".exr");
+    const promise = (isEXR ? exrLoader : bakeTextureLoader)
+      .loadAsync(url)
+      .then((texture) => {
+        texture.channel = 1;
+        texture.flipY = false; // glTF UV convention
+        if (color && !isEXR) texture.colorSpace = THREE.SRGBColorSpace;
+        texture.needsUpdate = true;
+        return texture;
+      });
+    bakeTextures.set(url, promise);
+  }
+  return bakeTextures.get(url);
+}
+
+/**
+ * Swap the lightmap lookup for a day/night mix: lit materials read it in
+ * lights_fragment_maps, MeshBasicMaterial inlines the same line in its main().
+ */
+const bakedLightMapLookup =
+  "vec4 lightMapTexel = texture2D( lightMap, vLightMapUv );";
+const bakedLightMapBlend =
+  "vec4 lightMapTexel = mix( texture2D( lightMap, vLightMapUv ), texture2D( nightLightMap, vLightMapUv ), bakedNight );";
+
+/**
+ * Blend material.lightMap (day) with a night lightmap by bakedUniforms.bakedNight.
+ * @param {THREE.Material} material
+ * @param {THREE.Texture} nightMap
+ */
+function applyBakedBlend(material, nightMap) {
+  if (bakedNightMaps.has(material)) {
+    bakedNightMaps.get(material).value = nightMap;
+    return;
+  }
+  const nightLightMap = { value: nightMap };
+  bakedNightMaps.set(material, nightLightMap);
+  const previous = material.onBeforeCompile;
+  material.onBeforeCompile = (shader, renderer) => {
+    previous.call(material, shader, renderer);
+    shader.uniforms.nightLightMap = nightLightMap;
+    shader.uniforms.bakedNight = bakedUniforms.bakedNight;
+    shader.fragmentShader = shader.fragmentShader
+      .replace(
+        "#include <lightmap_pars_fragment>",
+        "#include <lightmap_pars_fragment>\nuniform sampler2D nightLightMap;\nuniform float bakedNight;",
+      )
+      .replace(
+        "#include <lights_fragment_maps>",
+        THREE.ShaderChunk.lights_fragment_maps.replace(
+          bakedLightMapLookup,
+          bakedLightMapBlend,
+        ),
+      )
+      .replace(bakedLightMapLookup, bakedLightMapBlend); // meshbasic
+    if (!shader.fragmentShader.includes(bakedLightMapBlend)) {
+      reportAssetIssue(
+        `bake → ${material.name || material.type}`,
+        "warning",
+        `${material.type} has no lightmap lookup for the night bake`,
+      );
+    }
+  };
+  const previousKey = material.customProgramCacheKey;
+  material.customProgramCacheKey = () =>
+    `${previousKey.call(material)}|baked-blend`;
+  material.needsUpdate = true;
+}
+
+/**
+ * Hide the realtime lights the bakes stand in for, once every lightmapped
+ * mesh in the manifest has its lightmap (a missing or failed bake keeps them).
+ * @param {object} bakes - scene.json "bakes" section
+ */
+function replaceBakedLights(bakes) {
+  const pending = Object.entries(bakes.meshes).some(
+    ([name, bake]) => (bake.day || bake.night) && !bakedMeshNames.has(name),
+  );
+  if (pending) return;
+  (bakes.replaceLights || []).forEach((name) => {
+    const light = scene.getObjectByName(name);
+    if (!light?.isLight || !light.visible) return;
+    light.visible = false;
+    // Keep the performance governor from switching it back on
+    window.fillLights = window.fillLights?.filter((l) => l !== light);
+    console.log(`Baked lighting replaces realtime light: ${name}`);
+  });
+}
+
+/**
+ * Assign baked lightmaps / AO from the manifest to meshes under root by name.
+ * Meshes without a second UV set are reported and left realtime-lit.
+ * @param {THREE.Object3D} root
+ * @param {object} [bakes] - scene.json "bakes" section
+ */
+function applyBakes(root, bakes) {
+  if (!bakes?.meshes) return;
+  root.traverse((child) => {
+    const bake = bakes.meshes[child.name];
+    if (!bake || !child.isMesh || !child.material) return;
+    if (Array.isArray(child.material)) return;
+    if (!child.geometry.attributes.uv1) {
+      reportAssetIssue(
+        `bake → ${child.name}`,
+        "warning",
+        "Mesh has no second UV set (uv1) for its bake",
+      );
+      return;
+    }
+
+    const lightMapUrl = bake.day || bake.night;
+    const urls = [lightMapUrl, bake.day && bake.night, bake.ao];
+    Promise.all(
+      urls.map((url, i) => (url ? loadBakeTexture(url, i < 2) : null)),
+    )
+      .then(([lightMap, nightMap, aoMap]) => {
+        const material = ownMeshMaterial(child);
+        if (lightMap) {
+          material.lightMap = lightMap;
+          material.lightMapIntensity = bake.intensity ?? bakes.intensity ?? 1;
+        }
+        if (nightMap) applyBakedBlend(material, nightMap);
+        if (aoMap) {
+          material.aoMap = aoMap;
+          material.aoMapIntensity = bake.aoIntensity ?? 1;
+        }
+        material.needsUpdate = true;
+        if (lightMap) {
+          bakedMeshNames.add(child.name);
+          replaceBakedLights(bakes);
+        }
+      })
+      .catch((error) => {
+        console.error(`Bake for ${child.name} failed:`, error);
+        reportAssetIssue(
+          `bake → ${child.name}`,
+          "error",
+          "Bake texture missing",
         );
       });
+  });
+}
+
+/** Write [x, y, z] (or a single number) into a Vector3/Euler, skipping nulls */
+function patchXYZ(target, values) {
+  if (values == null) return;
+  if (typeof values === "number") values = [values, values, values];
+  ["x", "y", "z"].forEach((axis, i) => {
+    if (values[i] != null) target[axis] = values[i];
+  });
+}
+
+/** Apply a manifest transform ({ position, rotation, scale }) to an object */
+function applyManifestTransform(object, transform) {
+  patchXYZ(object.position, transform.position);
+  patchXYZ(object.rotation, transform.rotation);
+  patchXYZ(object.scale, transform.scale);
+}
+
+/** Apply a manifest material override — colors via .set(), rest assigned */
+function applyMaterialOverride(material, override) {
+  for (const [key, value] of Object.entries(override)) {
+    if (material[key]?.isColor) {
+      material[key].set(value);
+    } else {
+      material[key] = value;
     }
+  }
+  material.needsUpdate = true;
+}
 
-    // Map and log all meshes
-    const meshes = {};
-    model.traverse((child) => {
-      if (child.isMesh && child.material) meshes[child.name] = child.material;
-    });
+/** Apply shadow flags, envMapIntensity, node transforms and material overrides */
+function setupManifestProp(object, entry) {
+  for (const [nodeName, transform] of Object.entries(entry.nodes || {})) {
+    const node = object.getObjectByName(nodeName);
+    if (node) applyManifestTransform(node, transform);
+    else
+      reportAssetIssue(
+        `${entry.id} → ${nodeName}`,
+        "warning",
+        "Manifest node not found",
+      );
+  }
+
+  const unmatched = new Set(Object.keys(entry.materials || {}));
+  object.traverse((child) => {
+    if (!child.isMesh) return;
+    if (entry.castShadow !== undefined) child.castShadow = entry.castShadow;
+    if (entry.receiveShadow !== undefined)
+      child.receiveShadow = entry.receiveShadow;
+    if (!child.material) return;
+    if (entry.envMapIntensity !== undefined)
+      child.material.envMapIntensity = entry.envMapIntensity;
+    const key = entry.materials?.[child.name]
+      ? child.name
+      : child.material.name;
+    const override = entry.materials?.[key];
+    if (override) {
+      applyMaterialOverride(child.material, override);
+      unmatched.delete(key);
+    }
+  });
+  applyPCSSShadows(object);
+
+  // Overrides are matched by name, so a renamed mesh/material in a re-export
+  // shows up here instead of silently styling nothing
+  unmatched.forEach((key) =>
+    reportAssetIssue(
+      `${entry.id} → ${key}`,
+      "warning",
+      "Manifest material override matched no mesh",
+    ),
+  );
+}
+
+/**
+ * Stand-in for a prop that failed to load: a magenta wireframe box so the
+ * gap is obvious in the scene. Placed in the prop's own frame, using the
+ * manifest's optional placeholder { position, size }.
+ */
+function createPropPlaceholder(entry) {
+  const { position = [0, 0, 0], size = [1, 1, 1] } = entry.placeholder || {};
+  const group = new THREE.Group();
+  group.name = `${entry.id} (missing)`;
+  group.userData.placeholder = true;
+  applyManifestTransform(group, entry);
+
+  const box = new THREE.Mesh(
+    new THREE.BoxGeometry(...size),
+    new THREE.MeshBasicMaterial({ color: 0xff00ff, wireframe: true }),
+  );
+  box.position.fromArray(position);
+  group.add(box);
+  return group;
+}
+
+/**
+ * Load every prop listed in the manifest and add it to the scene.
+ * @param {object} manifest - Parsed scene.json
+ * @param {THREE.Object3D} model - Main store model (for anchorTo lookups)
+ * @param {Object<string, Function>} hooks - Per-prop callbacks keyed by id,
+ *   called as hook(object, entry, anchorName) after the prop is in the scene
+ */
+function buildPropsFromManifest(manifest, model, hooks = {}) {
+  window.sceneProps = window.sceneProps || {};
+
+  for (const [index, rawEntry] of (manifest.props || []).entries()) {
+    const entry = { ...manifest.defaults, ...rawEntry };
+
+    const onPropLoaded = (gltf) => {
+      const hook = hooks[entry.id];
+
+      if (entry.anchorTo) {
+        // One clone per anchor mesh, centered on the anchor's world bounds.
+        // The baked node translation is rotated into world space and removed
+        // so the clone lands on the anchor instead of its export origin.
+        entry.anchorTo.forEach((anchorName) => {
+          const anchor = model.getObjectByName(anchorName);
+          if (!anchor) {
+            reportAssetIssue(
+              `${entry.id} → ${anchorName}`,
+              "warning",
+              "Manifest anchor not found",
+            );
+            return;
+          }
+          const clone = gltf.scene.clone();
+          applyManifestTransform(clone, entry);
+
+          const anchorCenter = new THREE.Box3()
+            .setFromObject(anchor)
+            .getCenter(new THREE.Vector3());
+          const bakedOffset = (
+            gltf.scene.children[0]?.position || new THREE.Vector3()
+          )
+            .clone()
+            .applyEuler(clone.rotation);
+          clone.position.copy(anchorCenter).sub(bakedOffset);
+          applyManifestTransform(clone, entry.anchors?.[anchorName] || {});
+
+          setupManifestProp(clone, entry);
+          applyBakes(clone, manifest.bakes);
+          scene.add(clone);
+          clone.userData.manifestId = `${entry.id}:${anchorName}`;
+          clone.userData.manifestIndex = index;
+          clone.userData.manifestAnchor = anchorName;
+          clone.userData.manifestHasAnchors = Boolean(rawEntry.anchors);
+          window.sceneProps[`${entry.id}:${anchorName}`] = clone;
+          if (hook) hook(clone, entry, anchorName);
+          console.log(`${entry.id} placed on ${anchorName}`);
+        });
+        return;
+      }
+
+      const object = gltf.scene;
+      applyManifestTransform(object, entry);
+      setupManifestProp(object, entry);
+      applyBakes(object, manifest.bakes);
+      scene.add(object);
+
+      // Lets the edit mode map transform changes back onto scene.json
+      object.userData.manifestId = entry.id;
+      object.userData.manifestIndex = index;
+
+      window.sceneProps[entry.id] = object;
+      if (entry.expose) window[entry.expose] = object;
+      if (entry.exposeMaterials) {
+        const meshes = [];
+        object.traverse((child) => {
+          if (child.isMesh)
+            meshes.push({ name: child.name, material: child.material });
+        });
+        window[entry.exposeMaterials] = meshes;
+      }
+      if (hook) hook(object, entry);
+      console.log(
+        `${entry.id} loaded.` +
+          (entry.expose
+            ? ` Adjust with: ${entry.expose}.position.set(x, y, z)`
+            : ""),
+      );
+    };
+
+    // Missing prop → placeholder box + diagnostics entry, scene carries on
+    loadGLTFWithFallback(entry.url, onPropLoaded, undefined, () => {
+      const placeholder = createPropPlaceholder(entry);
+      scene.add(placeholder);
+      window.sceneProps[entry.id] = placeholder;
+      reportAssetIssue(entry.url, "error", `Prop "${entry.id}" missing`);
+    });
+  }
+}
+
+// Main store model (set once loaded)
+let storeModel = null;
+
+// Load model
+loadGLTFWithFallback(
+  "/models/son-and-store-keep-meshes.glb",
+  (gltf) => {
+    const model = gltf.scene;
+    model.rotation.y = -1.1;
+    scene.add(model);
+    storeModel = model;
+
+    // Auto-fit camera to model
+    const box = new THREE.Box3().setFromObject(model);
+    const center = box.getCenter(new THREE.Vector3());
+    const size = box.getSize(new THREE.Vector3());
+
+    const maxDim = Math.max(size.x, size.y, size.z);
+    const fov = camera.fov * (Math.PI / 180);
+    let cameraZ = Math.abs(maxDim / 2 / Math.tan(fov / 2));
+    cameraZ *= 0.6; // Add some padding
+
+    camera.position.set(
+      center.x + cameraZ * 0.5,
+      center.y + cameraZ * 0.0,
+      center.z + cameraZ,
+    );
+    camera.lookAt(center);
+
+    // Store base camera position and look target for mouse-follow
+    cameraBasePosition.copy(camera.position);
+    cameraLookCenter.copy(center);
+    cameraLookCurrent.copy(center);
+
+    // Set envMapIntensity and enable shadows on all meshes
+    model.traverse((child) => {
+      if (child.isMesh && child.material) {
+        child.material.envMapIntensity = 0.9;
+        child.castShadow = true;
+        child.receiveShadow = true;
+      }
+    });
+    applyPCSSShadows(model);
+
+    // Hide cactus, old frames, and old sconces in main model (replaced by separate models)
+    model.traverse((child) => {
+      if (child.name.toLowerCase().includes("cactus")) {
+        child.visible = false;
+      }
+      if (child.name === "FRAME_LEFT_1" || child.name === "FRAME_LEFT_2") {
+        child.visible = false;
+      }
+      if (child.name.toLowerCase().includes("sconce")) {
+        child.visible = false;
+      }
+    });
+
+    // ============ ROOM TEXTURE COMPARISON (TEMPORARY) ============
+    // We have two versions of the room shell (walls + floor only, no interior items):
+    //   OLD: Room meshes baked into son-and-store-keep-meshes.glb, flat colors set in JS
+    //   NEW: Separate room.gltf in /models/room/ with PBR textures (concrete walls, wood plank floor)
+    // Press 'R' to toggle between them for side-by-side comparison.
+    // Once we pick a direction, remove the unused version and this toggle code.
+    // ================================================================
+
+    // Collect old room meshes and hide them immediately (new room.gltf replaces them)
+    const oldRoomMeshes = [];
+    model.traverse((child) => {
+      if (child.name.toLowerCase().includes("room")) {
+        oldRoomMeshes.push(child);
+        child.visible = false;
+      }
+    });
+
+    // ============ ROOM TOGGLE (Press 'R') ============
+    // Toggle between old room (flat colors from GLB) and new room (textured GLTF)
+    window.roomToggle = {
+      useNewRoom: true, // Start with new textured room
+      oldRoomMeshes: oldRoomMeshes,
+      newRoomModel: null, // Set once loaded
+    };
+
+    // ============ PROP HOOKS (scene manifest) ============
+    // Extra wiring for manifest props that needs main-model state
+    const propHooks = {
+      // Sconce shades/bulbs glow with the sconce practical lights
+      sconce: (sconceModel) =>
+        attachPracticalFixtures(sconceModel, "sconce", "sconce"),
+      // New room model (textured walls + floor with cutout window)
+      room: (roomModel) => {
+        // Room position offset — tweak these to slide the room
+        window.roomOffset = {
+          x: roomModel.position.x,
+          y: roomModel.position.y,
+          z: roomModel.position.z,
+        };
+        window.setRoomPos = (x, y, z) => {
+          roomModel.position.set(x, y, z);
+          window.roomOffset = { x, y, z };
+          refreshShadowBounds();
+          // console.log(`Room position: (${x}, ${y}, ${z})`);
+        };
+
+        // Move room along its LOCAL axes (accounts for rotation)
+        // forward/back = local Z, left/right = local X, up/down = local Y
+        window.slideRoom = (forward = 9, right = 0, up = 0) => {
+          const dir = new THREE.Vector3(right, up, forward);
+          dir.applyQuaternion(roomModel.quaternion);
+          roomModel.position.add(dir);
+          refreshShadowBounds();
+          const p = roomModel.position;
+          console.log(
+            `Room world position: (${p.x.toFixed(3)}, ${p.y.toFixed(3)}, ${p.z.toFixed(3)})`,
+          );
+        };
+
+        // Log room mesh names for reference
+        const roomMats = {};
+        roomModel.traverse((child) => {
+          if (child.isMesh && child.material) {
+            roomMats[child.name] = child.material;
+          }
+        });
+        window.roomMaterials = roomMats;
+        console.log("Room mesh names:", Object.keys(roomMats));
+
+        // Now that the new room is ready, hide the old room meshes
+        oldRoomMeshes.forEach((mesh) => {
+          mesh.visible = false;
+        });
+
+        window.roomToggle.newRoomModel = roomModel;
+
+        // Add room materials to light switch system if already initialized
+        if (window.lightSwitch) {
+          const isMoody =
+            window.lightSwitch.mode === "moody" ||
+            window.lightSwitch.mode === "night";
+          roomModel.traverse((child) => {
+            if (
+              child.isMesh &&
+              child.material &&
+              child.material.envMapIntensity !== undefined
+            ) {
+              const offVal = 0.55;
+              const onVal = child.material.envMapIntensity;
+              const initVal = isMoody ? offVal : onVal;
+              child.material.envMapIntensity = initVal;
+              window.lightSwitch.materials.push({
+                material: child.material,
+                onIntensity: onVal,
+                offIntensity: offVal,
+                current: initVal,
+                target: initVal,
+              });
+            }
+          });
+        }
+      },
+
+      // New store video frame (visual only) — one clone per old frame mesh
+      storeVideoFrame: (newFrame, entry, frameName) => {
+        // Nudge the existing video plane forward so it sits on top of the new 3D frame
+        const vp = videoPlanes.get(frameName);
+        if (vp) {
+          const wallNormal = new THREE.Vector3(0, 0, -1);
+          wallNormal.applyQuaternion(
+            new THREE.Quaternion().setFromEuler(model.rotation),
+          );
+          // Move from old offset (-0.091 into wall) to in front of the new frame
+          vp.position.add(wallNormal.clone().multiplyScalar(0.1));
+        }
+      },
+    };
+    // Get LOGO mesh and material colors (with safety check)
+    const logoMesh = model.getObjectByName("LOGO");
+    if (logoMesh?.material) {
+      logoMesh.material.color.set(0xffffff);
+      logoMesh.material.roughness = 0.8;
+      logoMesh.material.metalness = 0.1;
+      logoMesh.material.envMapIntensity = 1.7;
+      logoMesh.material.emissive.set(0xffffff);
+      logoMesh.material.emissiveIntensity = 0.8;
+    }
+    if (logoMesh) {
+      // Bring logo forward off the wall (local Z) and rotate around Z axis
+      logoMesh.translateZ(1.1);
+      logoMesh.translateY(4.5);
+      logoMesh.translateX(0.8);
+      logoMesh.scale.set(14.8, 14.8, 14.8);
+      window.logoMesh = logoMesh;
+    }
+
+    // Floor (ROOM_2) - used when toggled back to old room
+    const floorMesh = model.getObjectByName("ROOM_2");
+    if (floorMesh?.material) {
+      floorMesh.material.color.set(0xd4bc94); // Warmer golden wood (lighter)
+      floorMesh.material.roughness = 0.8;
+      floorMesh.material.envMapIntensity = 0.99;
+      window.floorMaterial = floorMesh.material;
+    }
+
+    // Rug Materials - matte fabric look
+    const rugMesh = model.getObjectByName("Shaggy_carpet");
+    if (rugMesh?.material) {
+      rugMesh.material.roughness = 0.6;
+      rugMesh.material.metalness = 0.0;
+      rugMesh.material.envMapIntensity = 1;
+      // rugMesh.material.metalnessMap = null;
+      // rugMesh.material.roughnessMap = null;
+      // Fix sheen and specular
+      rugMesh.material.sheen = 0; // Disable sheen
+      rugMesh.material.specularIntensity = 0.8; // No specular
+      rugMesh.material.needsUpdate = true;
+      window.rugMaterial = rugMesh.material;
+    }
+
+    // ============ DECAL (AUW Logo) on DJ Booth ============
+    const boothMesh = model.getObjectByName("BOOTH_DJ");
+    if (boothMesh) {
+      const textureLoader = new THREE.TextureLoader(loadingManager);
+      textureLoader.load(
+        "/textures/test-decal.png",
+        (texture) => {
+          texture.colorSpace = THREE.SRGBColorSpace;
+
+          const decalGeometry = new THREE.PlaneGeometry(1, 1);
+          const decalMaterial = new THREE.MeshBasicMaterial({
+            map: texture,
+            transparent: true,
+            side: THREE.DoubleSide,
+            depthWrite: false,
+          });
+
+          const decal = new THREE.Mesh(decalGeometry, decalMaterial);
+
+          // Get booth position and place decal on front face
+          const box = new THREE.Box3().setFromObject(boothMesh);
+          const center = box.getCenter(new THREE.Vector3());
+
+          decal.position.copy(center);
+          decal.position.z += 1.15; // Offset slightly in front
+          decal.rotation.y = 0.6; // Match model rotation
+          decal.position.x += 2.7;
+          decal.position.y += -2.0;
+          decal.scale.set(0.6, 0.6, 1);
+          scene.add(decal);
+
+          // Register decal as a click target so clicking the logo also focuses the booth
+          const boothConfig = focusTargets.BOOTH_DJ;
+          if (boothConfig && boothMesh) {
+            focusMeshMap.set(decal, { ...boothConfig, focusMesh: boothMesh });
+          }
+
+          window.decal = decal;
+          window.boothMesh = boothMesh;
+          console.log(
+            "Decal placed on BOOTH_DJ at:",
+            center.toArray().map((v) => +v.toFixed(2)),
+          );
+          console.log("Adjust with: decal.position.set(x, y, z)");
+          console.log("Resize with: decal.scale.set(w, h, 1)");
+          console.log(
+            "Booth focus tuning — press P (dev) to fly, capture and export focusTargets",
+          );
+        },
+        undefined,
+        // Booth stays reachable through its hotspot without the decal
+        () => console.warn("Decal texture failed — skipping AUW decal"),
+      );
+    }
+
+    // Map and log all meshes
+    const meshes = {};
+    model.traverse((child) => {
+      if (child.isMesh && child.material) meshes[child.name] = child.material;
+    });
     window.meshes = meshes;
 
-    // Resolve focus target meshes + create video planes
-    for (const [meshName, config] of Object.entries(focusTargets)) {
-      const mesh = model.getObjectByName(meshName);
-      if (mesh) {
-        // For frame meshes, precompute the outward wall normal from the model's rotation
-        // (averaged vertex normals can point the wrong way after model re-export/compression)
-        if (meshName.startsWith("FRAME")) {
-          const wallNormal = new THREE.Vector3(0, 0, -1);
-          wallNormal.applyQuaternion(
-            new THREE.Quaternion().setFromEuler(model.rotation),
-          );
-          config.worldNormal = wallNormal;
-        }
+    // Resolve focus target meshes + create video planes
+    for (const [meshName, config] of Object.entries(focusTargets)) {
+      const mesh = model.getObjectByName(meshName);
+      if (mesh) {
+        // For frame meshes, precompute the outward wall normal from the model's rotation
+        // (averaged vertex normals can point the wrong way after model re-export/compression)
+        if (meshName.startsWith("FRAME")) {
+          const wallNormal = new THREE.Vector3(0, 0, -1);
+          wallNormal.applyQuaternion(
+            new THREE.Quaternion().setFromEuler(model.rotation),
+          );
+          config.worldNormal = wallNormal;
+        }
+
+        focusMeshMap.set(mesh, config);
+        console.log(`Focus target resolved: ${meshName}`);
+
+        // Skip video plane for non-frame targets
+        if (!meshName.startsWith("FRAME")) continue;
+
+        // Create a video plane overlaying the frame's canvas area
+        const frameBox = new THREE.Box3().setFromObject(mesh);
+        const frameCenter = frameBox.getCenter(new THREE.Vector3());
+        const frameSize = frameBox.getSize(new THREE.Vector3());
+        const normal = getMeshWorldNormal(mesh);
+
+        // Plane sized to fit inside the wood frame
+        const planeW = Math.max(frameSize.x, frameSize.z) * 1.21;
+        const planeH = frameSize.y * 0.78;
+        const planeGeom = new THREE.PlaneGeometry(planeW, planeH);
+        const planeMat = new THREE.MeshBasicMaterial({
+          map: videoTexture,
+          side: THREE.DoubleSide,
+          toneMapped: false,
+        });
+
+        const videoPlane = new THREE.Mesh(planeGeom, planeMat);
+
+        // Derive exact wall normal from model rotation (not averaged mesh normals)
+        // The frame's local outward normal is (0,0,-1), rotated by model's world transform
+        const wallNormal = new THREE.Vector3(0, 0, -1);
+        wallNormal.applyQuaternion(
+          new THREE.Quaternion().setFromEuler(model.rotation),
+        );
+
+        videoPlane.position.copy(frameCenter);
+        // Nudge back toward wall — tweak this value to sit flush on canvas
+        videoPlane.position.add(wallNormal.clone().multiplyScalar(-0.091));
+        videoPlane.lookAt(videoPlane.position.clone().add(wallNormal));
+
+        scene.add(videoPlane);
+        videoPlanes.set(meshName, videoPlane);
+
+        // Clicking the video itself focuses its frame
+        focusMeshMap.set(videoPlane, { ...config, focusMesh: mesh });
+
+        // Expose for tweaking in console
+        window[`videoPlane_${meshName}`] = videoPlane;
+        console.log(`Video plane created for ${meshName}:`, {
+          position: videoPlane.position.toArray().map((v) => +v.toFixed(2)),
+          size: [+planeW.toFixed(2), +planeH.toFixed(2)],
+        });
+      } else {
+        console.warn(`Focus target mesh not found: ${meshName}`);
+      }
+    }
+
+    // ============ POPULATE HOTSPOTS (CSS2DObject) ============
+    for (const [meshName, hConfig] of Object.entries(hotspotConfig)) {
+      const mesh = model.getObjectByName(meshName);
+      if (!mesh) continue;
+
+      // Build DOM element
+      const el = document.getElementById(hConfig.elementId);
+      if (!el) continue;
+      // Remove from document flow — CSS2DRenderer will own it
+      el.remove();
+
+      // Wrap in CSS2DObject and position in world space
+      const css2dObj = new CSS2DObject(el);
+      const box = new THREE.Box3().setFromObject(mesh);
+      const center = box.getCenter(new THREE.Vector3());
+      css2dObj.position.set(center.x, center.y + hConfig.offsetY, center.z);
+      scene.add(css2dObj);
+
+      hotspots.push({ element: el, css2dObj, meshName });
+
+      // Click handler — trigger existing focus mode
+      el.addEventListener("click", () => {
+        if (cameraFocus.active || cameraFocus.transitioning) return;
+        const focusConfig = focusMeshMap.get(mesh);
+        if (focusConfig) enterFocusMode(mesh, focusConfig);
+      });
+
+      // Arrow keys step between stations (Enter/Space click natively)
+      el.addEventListener("keydown", (e) => {
+        const step = {
+          ArrowRight: 1,
+          ArrowDown: 1,
+          ArrowLeft: -1,
+          ArrowUp: -1,
+        }[e.key];
+        if (!step) return;
+        e.preventDefault();
+        cycleHotspot(el, step);
+      });
+    }
+
+    // Fade hotspots in after a short delay
+    setTimeout(() => {
+      hotspots.forEach((h) => h.element.classList.add("visible"));
+    }, 800);
+
+    // ============ LOAD MANIFEST PROPS ============
+    // Cactus, doll, deck, sconce, store video frames and the room shell
+    sceneManifestPromise
+      .then((manifest) => buildPropsFromManifest(manifest, model, propHooks))
+      .catch((error) => console.error("Error loading scene manifest:", error))
+      .finally(() => releaseLoadingHold("props"));
+
+    // Sun cycle maps compass bearings through the window's outward normal.
+    // WINDOW faces inward along local +Z (see NYC image below), so outward is
+    // local -Z — with the model's -1.1 rad that's ≈ (0.89, 0, -0.45), the same
+    // side as the hand-tuned baseline sun at (19, 10, -6)
+    sunCycleConfig.windowOutward
+      .set(0, 0, -1)
+      .applyEuler(model.rotation)
+      .setY(0)
+      .normalize();
+
+    // ============ NYC IMAGE IN WINDOW ============
+    const windowMesh = model.getObjectByName("WINDOW");
+    if (windowMesh) {
+      const windowBox = new THREE.Box3().setFromObject(windowMesh);
+      const windowCenter = windowBox.getCenter(new THREE.Vector3());
+      const windowSize = windowBox.getSize(new THREE.Vector3());
+
+      const nycTextureLoader = new THREE.TextureLoader(loadingManager);
+      nycTextureLoader.load(
+        "/images/nyc-img.png",
+        (nycTexture) => {
+          nycTexture.colorSpace = THREE.SRGBColorSpace;
+
+          // Size the plane to fill the window
+          const planeW = Math.max(windowSize.x, windowSize.z) * 0.95;
+          const planeH = windowSize.y * 0.95;
+          const nycGeom = new THREE.PlaneGeometry(planeW, planeH);
+          const nycMat = new THREE.MeshBasicMaterial({
+            map: nycTexture,
+            side: THREE.DoubleSide,
+            toneMapped: false,
+          });
+
+          const nycPlane = new THREE.Mesh(nycGeom, nycMat);
+          nycPlane.position.copy(windowCenter);
+
+          // Orient plane to face the room (window faces inward along +Z)
+          const wallNormal = new THREE.Vector3(0, 0, -1);
+          wallNormal.applyQuaternion(
+            new THREE.Quaternion().setFromEuler(model.rotation),
+          );
+          nycPlane.lookAt(nycPlane.position.clone().add(wallNormal));
+
+          // Nudge slightly in front of the window glass
+          nycPlane.position.add(wallNormal.clone().multiplyScalar(-0.05));
+
+          scene.add(nycPlane);
+          window.nycPlane = nycPlane;
+          console.log(
+            "NYC image placed in window at:",
+            nycPlane.position.toArray().map((v) => +v.toFixed(2)),
+          );
+        },
+        undefined,
+        // Window glass just stays visible without the skyline
+        () => console.warn("NYC window image failed — leaving window empty"),
+      );
+    }
+
+    console.log("=== ALL MESHES IN MODEL ===");
+    console.log("Total count:", Object.keys(meshes).length);
+    console.log("Names:", Object.keys(meshes));
+    console.table(Object.keys(meshes).map((name) => ({ name })));
+
+    // // DEBUG: Uncomment to expose ALL materials
+    // const materials = {};
+    // model.traverse((child) => {
+    //   if (child.isMesh && child.material) materials[child.name] = child.material;
+    // });
+    // window.materials = materials;
+    // console.log('Materials exposed:', Object.keys(materials));
+
+    // ============ LIGHTING SETUP ============
+    // Colors
+    const warmColor = 0xffb770; // Warm orange for lamp and area lights
+    const whiteColor = 0xffffff; // White for sconces
+
+    // --- LAMP (Point Light - diffuse glow through shade) ---
+    const lampPointLight = new THREE.PointLight(warmColor, 3, 12, 2);
+    lampPointLight.position.set(-2.7, 4.0, 8.75);
+    scene.add(lampPointLight);
+    window.lampPointLight = lampPointLight;
+
+    // --- LAMP (Spotlight - pointing up) ---
+    const lampLightUp = new THREE.SpotLight(
+      warmColor,
+      15,
+      15,
+      Math.PI / 4,
+      1,
+      1,
+    );
+    lampLightUp.position.set(-2.7, 4.0, 8.75);
+    lampLightUp.target.position.set(-2.7, 10, 8.75);
+    scene.add(lampLightUp);
+    scene.add(lampLightUp.target);
+    window.lampLightUp = lampLightUp;
+
+    // --- LAMP (Spotlight - pointing down) ---
+    const lampLightDown = new THREE.SpotLight(
+      warmColor,
+      15,
+      10,
+      Math.PI / 3,
+      1,
+      1,
+    );
+    lampLightDown.position.set(-2.7, 4.0, 8.75);
+    lampLightDown.target.position.set(-2.7, 0, 8.75);
+    scene.add(lampLightDown);
+    scene.add(lampLightDown.target);
+    window.lampLightDown = lampLightDown;
+
+    // --- SCONCES (Point Lights - white) ---
+    // Left sconce
+    const sconceLeft = new THREE.PointLight(warmColor, 5, 10, 1);
+    sconceLeft.position.set(-4, 6.5, 1.2);
+    scene.add(sconceLeft);
+
+    // Right sconce
+    const sconceRight = new THREE.PointLight(warmColor, 5, 10, 1);
+    sconceRight.position.set(14.3, 6.5, -6.9);
+    scene.add(sconceRight);
+
+    // --- WALL/CEILING FILL LIGHTS (no shadows, cheap) ---
+    // HemisphereLight: cheapest light in Three.js — uniform warm fill everywhere
+    // Sky color warm, ground color slightly darker warm — lifts all surfaces
+    const hemiLight = new THREE.HemisphereLight(0xffe0b2, 0x806040, 0.6);
+    hemiLight.name = "hemiFill"; // names are what scene.json bakes.replaceLights lists
+    scene.add(hemiLight);
+
+    // Stronger PointLights close to side walls to push warmth onto them
+    const fillLeft = new THREE.PointLight(warmColor, 4, 18, 1);
+    fillLeft.name = "fillLeft";
+    fillLeft.position.set(-5, 5.5, 2);
+    scene.add(fillLeft);
+
+    const fillRight = new THREE.PointLight(warmColor, 4, 18, 1);
+    fillRight.name = "fillRight";
+    fillRight.position.set(15, 5.5, -3);
+    scene.add(fillRight);
+
+    // Ceiling fill — placed right below ceiling, wider range
+    const fillCeiling = new THREE.PointLight(warmColor, 3, 16, 1);
+    fillCeiling.name = "fillCeiling";
+    fillCeiling.position.set(5, 10.5, 2);
+    scene.add(fillCeiling);
+    // Side fills are the first thing the performance governor drops
+    window.fillLights = [fillLeft, fillRight];
+
+    // Ambient light — low for window light contrast
+    const ambientLight = new THREE.AmbientLight(0xffffff, 0.15);
+    ambientLight.name = "ambient";
+    scene.add(ambientLight);
+
+    // Directional light (simulates sunlight through window)
+    const sunLight = new THREE.DirectionalLight(0xffb770, 6); // Soft warm sunlight
+    sunLight.position.set(19, 10, -6); // Coming from window direction (left side) 19,7,20
+    sunLight.target.position.copy(sunCycleConfig.center);
+    scene.add(sunLight.target);
+    sunLight.castShadow = true;
+
+    // Shadow settings — wide frustum to cover entire room without clipping,
+    // until fitSunShadowCamera() tightens it around the room shell
+    const { mapSize } = shadowQualityPresets[pcssConfig.quality];
+    sunLight.shadow.mapSize.set(mapSize, mapSize);
+    sunLight.shadow.camera.near = pcssReferenceFrustum.near;
+    sunLight.shadow.camera.far = pcssReferenceFrustum.far;
+    sunLight.shadow.camera.left = -pcssReferenceFrustum.extent / 2;
+    sunLight.shadow.camera.right = pcssReferenceFrustum.extent / 2;
+    sunLight.shadow.camera.top = pcssReferenceFrustum.extent / 2;
+    sunLight.shadow.camera.bottom = -pcssReferenceFrustum.extent / 2;
+    sunLight.shadow.bias = pcssReferenceFrustum.bias;
+    // PCSS handles shadow softness via pcssConfig.size
+
+    scene.add(sunLight);
+    window.sunLight = sunLight;
+
+    // ?shadows=low|medium|high|ultra picks a preset for this screen
+    // (the performance governor leaves shadows alone from then on)
+    const shadowParam = new URLSearchParams(window.location.search).get(
+      "shadows",
+    );
+    if (shadowParam) {
+      setShadowQuality(shadowParam);
+      perfGovernor.pinShadows = true;
+    }
+    window.sunCycle = sunCycle;
+    window.getSunPosition = getSunPosition;
+
+    // ============ LIGHT SWITCH (L / setLightingMode) ============
+    // Collect all materials for envMapIntensity control
+    const allMaterials = [];
+    model.traverse((child) => {
+      if (
+        child.isMesh &&
+        child.material &&
+        child.material.envMapIntensity !== undefined
+      ) {
+        allMaterials.push({
+          material: child.material,
+          onIntensity: child.material.envMapIntensity, // current value as "on" value
+          offIntensity: 0.95, // dim when lights off
+          current: child.material.envMapIntensity,
+          target: child.material.envMapIntensity,
+        });
+      }
+    });
+
+    // Room lights (on when bright) vs practical lights (on when dark)
+    window.lightSwitch = {
+      on: false,
+      mode: "moody", // "day" | "night" | "moody" — change with setLightingMode()
+      auto: false, // day/night follows the sun cycle
+      baked: { current: 1, target: 1 }, // day (0) → night (1) lightmap blend
+      roomLights: [
+        {
+          light: ambientLight,
+          onIntensity: 0.15,
+          moodyIntensity: 0,
+          current: 0.15,
+          target: 0.15,
+        },
+        {
+          light: sunLight,
+          onIntensity: 6,
+          moodyIntensity: 0,
+          current: 6,
+          target: 6,
+        },
+        {
+          light: hemiLight,
+          onIntensity: 0.6,
+          moodyIntensity: 0,
+          current: 0.6,
+          target: 0.6,
+        },
+        {
+          light: fillLeft,
+          onIntensity: 4,
+          moodyIntensity: 0,
+          current: 4,
+          target: 4,
+        },
+        {
+          light: fillRight,
+          onIntensity: 4,
+          moodyIntensity: 0,
+          current: 4,
+          target: 4,
+        },
+        {
+          light: fillCeiling,
+          onIntensity: 3,
+          moodyIntensity: 1.5,
+          current: 3,
+          target: 3,
+        },
+      ],
+      practicalLights: [
+        // These turn ON when room lights are OFF
+        // `fixture` names the fixtureConfig group whose meshes glow with the light
+        {
+          light: lampPointLight,
+          onIntensity: 3,
+          current: 0,
+          target: 0,
+          fixture: "lamp",
+          fixtures: [],
+        },
+        { light: lampLightUp, onIntensity: 15, current: 0, target: 0 },
+        { light: lampLightDown, onIntensity: 15, current: 0, target: 0 },
+        {
+          light: sconceLeft,
+          onIntensity: 5,
+          current: 0,
+          target: 0,
+          fixture: "sconce",
+          fixtures: [],
+        },
+        {
+          light: sconceRight,
+          onIntensity: 5,
+          current: 0,
+          target: 0,
+          fixture: "sconce",
+          fixtures: [],
+        },
+      ],
+      materials: allMaterials,
+    };
+
+    // Initialize sun cycle state
+    {
+      const sun = getSunPosition(getCycleHour());
+
+      sunCycle.targetPosition.copy(sun.position);
+      sunCycle.currentPosition.copy(sun.position);
+      sunCycle.targetIntensity = sun.intensity;
+      sunCycle.currentIntensity = sun.intensity;
+      sunCycle.targetColor.copy(sun.color);
+      sunCycle.currentColor.copy(sun.color);
+      sunCycle.isNight = sun.isNight;
+
+      // Apply immediately
+      sunLight.position.copy(sun.position);
+      sunLight.intensity = sun.intensity;
+      sunLight.color.copy(sun.color);
+
+      // Default to moody: sun drives shadows, room lights off (except ceiling fill), practicals on
+      setLightingMode("moody", { manual: false, immediate: true });
+    }
+
+    // Lamp shade in the store model (sconces arrive with their prop, see propHooks)
+    attachPracticalFixtures(model, "lamp", "store model");
+
+    // Baked lightmaps / AO for the store model's meshes (props bake on load)
+    sceneManifestPromise
+      .then((manifest) => applyBakes(model, manifest.bakes))
+      .catch(() => {}); // manifest failures are reported by the loader
+
+    // ?tier= pinned a performance tier — apply it now the lights and video planes exist
+    if (!perfGovernor.enabled) setPerformanceTier(perfGovernor.tier);
+
+    console.log("Lighting setup complete");
+
+    // Shared link (#/booth etc.) — land straight in that focus view
+    applyFocusRoute();
+
+    // ?edit / ?author open the dev tools once the camera has its real framing
+    if (
+      import.meta.env.DEV &&
+      new URLSearchParams(window.location.search).has("edit")
+    ) {
+      setEditMode(true);
+    } else if (
+      import.meta.env.DEV &&
+      new URLSearchParams(window.location.search).has("author")
+    ) {
+      setFocusAuthoring(true);
+    }
+
+    // Loading screen closes once every asset reports in (see LOADING MANAGER)
+    releaseLoadingHold("model");
+
+    console.log("Model loaded successfully");
+  },
+  trackProgress("/models/son-and-store-keep-meshes.glb"),
+  (error) => {
+    console.error("Error loading model:", error);
+    loadingFailed = true;
+    progressText.textContent = "Error loading model";
+    progressText.style.color = "#ff4444";
+  },
+);
+
+// ============ EDIT MODE (dev only) ============
+// Replaces the setRoomPos / slideRoom / position.set() console workflow.
+// Toggle with ` (backquote) or open the page with ?edit. Click an object to
+// select it, then:
+//   W move · E rotate · R scale · F snap to surface below · G grid snap
+//   Esc deselect · Export → JSON patch (RFC 6902 ops for scene.json plus
+//   transforms for objects that still live in main.js)
+const editMode = {
+  enabled: false,
+  selected: null,
+  surfaceSnap: false,
+  gridSnap: false,
+  edited: new Map(), // object → original { position, rotation, scale }
+  previousCameraMode: null,
+};
+window.editMode = editMode;
 
-        focusMeshMap.set(mesh, config);
-        console.log(`Focus target resolved: ${meshName}`);
+const editPanel = document.getElementById("edit-panel");
+const editSelectionEl = document.getElementById("edit-selection");
+const editRaycaster = new THREE.Raycaster();
+const editPointer = new THREE.Vector2();
+let transformControls = null;
 
-        // Skip video plane for non-frame targets
-        if (!meshName.startsWith("FRAME")) continue;
+/** Round to 3 decimals for readable exports */
+function round3(v) {
+  return Math.round(v * 1000) / 1000;
+}
 
-        // Create a video plane overlaying the frame's canvas area
-        const frameBox = new THREE.Box3().setFromObject(mesh);
-        const frameCenter = frameBox.getCenter(new THREE.Vector3());
-        const frameSize = frameBox.getSize(new THREE.Vector3());
-        const normal = getMeshWorldNormal(mesh);
+/** Snapshot an object's transform as plain arrays */
+function snapshotTransform(object) {
+  return {
+    position: object.position.toArray().map(round3),
+    rotation: [object.rotation.x, object.rotation.y, object.rotation.z].map(
+      round3,
+    ),
+    scale: object.scale.toArray().map(round3),
+  };
+}
 
-        // Plane sized to fit inside the wood frame
-        const planeW = Math.max(frameSize.x, frameSize.z) * 1.21;
-        const planeH = frameSize.y * 0.78;
-        const planeGeom = new THREE.PlaneGeometry(planeW, planeH);
-        const planeMat = new THREE.MeshBasicMaterial({
-          map: videoTexture,
-          side: THREE.DoubleSide,
-          toneMapped: false,
-        });
+/** True if the object and all its ancestors are visible */
+function isVisibleInScene(object) {
+  for (let o = object; o; o = o.parent) {
+    if (!o.visible) return false;
+  }
+  return true;
+}
 
-        const videoPlane = new THREE.Mesh(planeGeom, planeMat);
+/**
+ * The object an edit click should grab: manifest props and loose scene
+ * objects (decal, video planes) as a whole, main-model meshes individually.
+ */
+function editableTarget(hitObject) {
+  let target = hitObject;
+  while (
+    target.parent &&
+    target.parent !== scene &&
+    target.parent !== storeModel
+  ) {
+    target = target.parent;
+  }
+  return target;
+}
 
-        // Derive exact wall normal from model rotation (not averaged mesh normals)
-        // The frame's local outward normal is (0,0,-1), rotated by model's world transform
-        const wallNormal = new THREE.Vector3(0, 0, -1);
-        wallNormal.applyQuaternion(
-          new THREE.Quaternion().setFromEuler(model.rotation),
-        );
+/** Readable label for an edited object */
+function editLabel(object) {
+  return object.userData.manifestId || object.name || object.uuid;
+}
 
-        videoPlane.position.copy(frameCenter);
-        // Nudge back toward wall — tweak this value to sit flush on canvas
-        videoPlane.position.add(wallNormal.clone().multiplyScalar(-0.091));
-        videoPlane.lookAt(videoPlane.position.clone().add(wallNormal));
+/** Drop the selected object so its bounding box rests on the surface below */
+function snapToSurface(object) {
+  const box = new THREE.Box3().setFromObject(object);
+  const origin = box.getCenter(new THREE.Vector3());
+  origin.y = box.max.y + 0.01;
+
+  editRaycaster.set(origin, new THREE.Vector3(0, -1, 0));
+  const hit = editRaycaster
+    .intersectObjects(scene.children, true)
+    .find(
+      (h) =>
+        isVisibleInScene(h.object) &&
+        !isDescendantOf(h.object, object) &&
+        !isDescendantOf(h.object, transformControls),
+    );
+  if (!hit) return;
 
-        scene.add(videoPlane);
-        videoPlanes.set(meshName, videoPlane);
+  // Move in world space, then convert to the object's parent space
+  const worldPos = object.getWorldPosition(new THREE.Vector3());
+  worldPos.y += hit.point.y - box.min.y;
+  object.position.copy(object.parent.worldToLocal(worldPos));
+}
 
-        // Expose for tweaking in console
-        window[`videoPlane_${meshName}`] = videoPlane;
-        console.log(`Video plane created for ${meshName}:`, {
-          position: videoPlane.position.toArray().map((v) => +v.toFixed(2)),
-          size: [+planeW.toFixed(2), +planeH.toFixed(2)],
-        });
-      } else {
-        console.warn(`Focus target mesh not found: ${meshName}`);
-      }
-    }
+/** True if `object` is `ancestor` or sits anywhere below it */
+function isDescendantOf(object, ancestor) {
+  for (let o = object; o; o = o.parent) {
+    if (o === ancestor) return true;
+  }
+  return false;
+}
 
-    // ============ POPULATE HOTSPOTS (CSS2DObject) ============
-    for (const [meshName, hConfig] of Object.entries(hotspotConfig)) {
-      const mesh = model.getObjectByName(meshName);
-      if (!mesh) continue;
+/** Select an object (or null to deselect) and attach the gizmo */
+function selectForEdit(object) {
+  editMode.selected = object;
+  if (object) {
+    if (!editMode.edited.has(object)) {
+      editMode.edited.set(object, snapshotTransform(object));
+    }
+    transformControls.attach(object);
+  } else {
+    transformControls.detach();
+  }
+  updateEditPanel();
+}
 
-      // Build DOM element
-      const el = document.getElementById(hConfig.elementId);
-      if (!el) continue;
-      // Remove from document flow — CSS2DRenderer will own it
-      el.remove();
+/** Refresh the edit panel's selection + toggle readout */
+function updateEditPanel() {
+  if (!editSelectionEl) return;
+  const selected = editMode.selected;
+  const lines = [
+    selected ? `Selected: ${editLabel(selected)}` : "Click an object",
+    `Mode: ${transformControls?.mode || "translate"}`,
+    `Surface snap: ${editMode.surfaceSnap ? "on" : "off"}`,
+    `Grid snap: ${editMode.gridSnap ? "on" : "off"}`,
+  ];
+  if (selected) {
+    const t = snapshotTransform(selected);
+    lines.push(`pos ${t.position.join(", ")}`);
+    lines.push(`rot ${t.rotation.join(", ")}`);
+    lines.push(`scale ${t.scale.join(", ")}`);
+  }
+  editSelectionEl.textContent = lines.join("\n");
+}
 
-      // Wrap in CSS2DObject and position in world space
-      const css2dObj = new CSS2DObject(el);
-      const box = new THREE.Box3().setFromObject(mesh);
-      const center = box.getCenter(new THREE.Vector3());
-      css2dObj.position.set(center.x, center.y + hConfig.offsetY, center.z);
-      scene.add(css2dObj);
+/** Turn edit mode on/off (switches the camera to orbit while editing) */
+function setEditMode(enabled) {
+  if (editMode.enabled === enabled) return;
+  editMode.enabled = enabled;
 
-      hotspots.push({ element: el, css2dObj, meshName });
+  if (!transformControls) {
+    transformControls = new TransformControls(camera, canvas);
+    transformControls.addEventListener("dragging-changed", (e) => {
+      controls.enabled = !e.value;
+    });
+    transformControls.addEventListener("objectChange", () => {
+      if (editMode.surfaceSnap && transformControls.mode === "translate") {
+        snapToSurface(transformControls.object);
+      }
+      updateEditPanel();
+    });
+    scene.add(transformControls);
+    window.transformControls = transformControls;
+  }
 
-      // Click handler — trigger existing focus mode
-      el.addEventListener("click", () => {
-        if (cameraFocus.active || cameraFocus.transitioning) return;
-        const focusConfig = focusMeshMap.get(mesh);
-        if (focusConfig) enterFocusMode(mesh, focusConfig);
-      });
+  if (enabled) {
+    if (cameraFocus.active || cameraFocus.transitioning) exitFocusMode();
+    if (cameraConfig.mode === "walk") stopWalking(); // release the pointer lock
+    editMode.previousCameraMode = cameraConfig.mode;
+    cameraConfig.mode = "orbit";
+    applyOrbitLimits();
+    controls.target.copy(cameraLookCurrent);
+    controls.enabled = true;
+    controls.update();
+  } else {
+    selectForEdit(null);
+    cameraConfig.mode = editMode.previousCameraMode || "mouse";
+    // Walk on from where the edit camera ended up
+    if (cameraConfig.mode === "walk" && !startWalking())
+      cameraConfig.mode = "mouse";
+    applyOrbitLimits();
+    controls.enabled = usesOrbitControls(cameraConfig.mode);
+    if (cameraConfig.mode === "mouse") {
+      camera.position.copy(cameraBasePosition);
     }
+  }
 
-    // Fade hotspots in after a short delay
-    setTimeout(() => {
-      hotspots.forEach((h) => h.element.classList.add("visible"));
-    }, 800);
+  transformControls.enabled = enabled;
+  transformControls.visible = enabled;
+  if (editPanel) editPanel.classList.toggle("hidden", !enabled);
+  updateEditPanel();
+  console.log(`Edit mode ${enabled ? "ON" : "OFF"}`);
+}
 
-    // ============ LOAD NEW STORE VIDEO FRAME MODEL (visual only) ============
-    gltfLoader.load("/models/STORE VIDEO FRAME.gltf", (frameGltf) => {
-      ["FRAME_LEFT_1", "FRAME_LEFT_2"].forEach((frameName) => {
-        const oldMesh = model.getObjectByName(frameName);
-        if (!oldMesh) return;
-
-        const newFrame = frameGltf.scene.clone();
-        newFrame.rotation.y = -1.1;
-
-        // Align new frame to old frame's world-space center
-        const oldBox = new THREE.Box3().setFromObject(oldMesh);
-        const oldCenter = oldBox.getCenter(new THREE.Vector3());
-        const gltfNode = frameGltf.scene.children[0];
-        const bakedTranslation = gltfNode.position.clone();
-        const rotatedOffset = bakedTranslation
-          .clone()
-          .applyAxisAngle(new THREE.Vector3(0, 1, 0), -1.1);
-        newFrame.position.copy(oldCenter).sub(rotatedOffset);
-
-        newFrame.traverse((child) => {
-          if (child.isMesh) {
-            child.castShadow = true;
-            child.receiveShadow = true;
-            if (child.material) child.material.envMapIntensity = 0.9;
-          }
+/**
+ * Build the export for every object whose transform changed:
+ *   manifest — RFC 6902 "add" ops, apply to public/scene.json (anchored
+ *              clones land in their entry's "anchors" overrides)
+ *   objects  — name → transform for things still placed in main.js
+ */
+function buildEditPatch() {
+  const manifest = [];
+  const objects = {};
+  const anchorMaps = new Set(); // prop indexes given an "anchors" object
+
+  editMode.edited.forEach((original, object) => {
+    const current = snapshotTransform(object);
+    const changed = ["position", "rotation", "scale"].filter(
+      (key) => JSON.stringify(current[key]) !== JSON.stringify(original[key]),
+    );
+    if (changed.length === 0) return;
+
+    const { manifestIndex, manifestAnchor } = object.userData;
+    if (manifestAnchor !== undefined) {
+      if (
+        !object.userData.manifestHasAnchors &&
+        !anchorMaps.has(manifestIndex)
+      ) {
+        anchorMaps.add(manifestIndex);
+        manifest.push({
+          op: "add",
+          path: `/props/${manifestIndex}/anchors`,
+          value: {},
+        });
+      }
+      // Whole placement — the clone's position is derived from the anchor
+      const pointer = manifestAnchor.replace(/~/g, "~0").replace(/\//g, "~1");
+      manifest.push({
+        op: "add",
+        path: `/props/${manifestIndex}/anchors/${pointer}`,
+        value: current,
+      });
+    } else if (manifestIndex !== undefined) {
+      changed.forEach((key) => {
+        manifest.push({
+          op: "add", // "add" replaces an existing member or creates it
+          path: `/props/${manifestIndex}/${key}`,
+          value: current[key],
         });
+      });
+    } else {
+      objects[editLabel(object)] = current;
+    }
+  });
 
-        scene.add(newFrame);
+  return { manifest, objects };
+}
 
-        // Nudge the existing video plane forward so it sits on top of the new 3D frame
-        const vp = videoPlanes.get(frameName);
-        if (vp) {
-          const wallNormal = new THREE.Vector3(0, 0, -1);
-          wallNormal.applyQuaternion(
-            new THREE.Quaternion().setFromEuler(model.rotation),
-          );
-          // Move from old offset (-0.091 into wall) to in front of the new frame
-          vp.position.add(wallNormal.clone().multiplyScalar(0.1));
-        }
+/** Download the edit patch as scene-patch.json (and log/copy it) */
+function exportEditPatch() {
+  const json = JSON.stringify(buildEditPatch(), null, 2);
+  console.log("Edit patch:\n" + json);
+  navigator.clipboard?.writeText(json).catch(() => {});
 
-        console.log(`New frame placed for ${frameName}`);
-      });
-    });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(
+    new Blob([json], { type: "application/json" }),
+  );
+  link.download = "scene-patch.json";
+  link.click();
+  // Revoking in the same tick can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
 
-    // ============ LOAD BRUNSON DOLL MODEL ============
-    gltfLoader.load("/models/BRUNSON DOLL/BRUNSON DOLL.glb", (dollGltf) => {
-      const dollModel = dollGltf.scene;
-      dollModel.rotation.y = -1.1;
-
-      // Zero out the baked translation so rotation pivots around the doll itself
-      const dollNode = dollModel.children[0];
-      if (dollNode) dollNode.position.set(-0.0, 8.8, -1.7);
-      dollNode.rotation.y = 0.8;
-
-      dollModel.traverse((child) => {
-        if (child.isMesh) {
-          child.castShadow = true;
-          child.receiveShadow = true;
-          if (child.material) {
-            child.material.envMapIntensity = 0.9;
-          }
-        }
-      });
+if (import.meta.env.DEV) {
+  window.setEditMode = setEditMode;
+  window.exportEditPatch = exportEditPatch;
 
-      // Position doll on the chair
-      dollModel.position.set(-5, -6.3, 3.5);
+  // Click-to-select (ignore orbit drags and gizmo handles)
+  let editPointerDown = null;
+  canvas.addEventListener("pointerdown", (e) => {
+    editPointerDown = { x: e.clientX, y: e.clientY };
+  });
+  canvas.addEventListener("pointerup", (e) => {
+    if (!editMode.enabled || !editPointerDown) return;
+    const moved = Math.hypot(
+      e.clientX - editPointerDown.x,
+      e.clientY - editPointerDown.y,
+    );
+    editPointerDown = null;
+    if (moved > 4 || transformControls.dragging || transformControls.axis) {
+      return;
+    }
 
-      scene.add(dollModel);
-      window.dollModel = dollModel;
-      console.log(
-        "Brunson Doll loaded. Adjust with: dollModel.position.set(x, y, z)",
+    editPointer.x = (e.clientX / window.innerWidth) * 2 - 1;
+    editPointer.y = -(e.clientY / window.innerHeight) * 2 + 1;
+    editRaycaster.setFromCamera(editPointer, camera);
+    const hit = editRaycaster
+      .intersectObjects(scene.children, true)
+      .find(
+        (h) =>
+          isVisibleInScene(h.object) &&
+          !isDescendantOf(h.object, transformControls),
       );
-    });
+    selectForEdit(hit ? editableTarget(hit.object) : null);
+  });
 
-    // ============ LOAD DJ DECK MODEL ============
-    gltfLoader.load("/models/DJ DECK/DJ DECK.glb", (deckGltf) => {
-      const deckModel = deckGltf.scene;
-      deckModel.rotation.y = -1.1;
-
-      deckModel.traverse((child) => {
-        if (child.isMesh) {
-          child.castShadow = true;
-          child.receiveShadow = true;
-          if (child.material) {
-            child.material.envMapIntensity = 0.9;
-          }
+  window.addEventListener("keydown", (e) => {
+    if (e.target instanceof HTMLInputElement) return;
+    if (e.key === "`") {
+      if (!editMode.enabled && focusAuthoring.enabled) {
+        setFocusAuthoring(false);
+      }
+      setEditMode(!editMode.enabled);
+      return;
+    }
+    if (!editMode.enabled) return;
+
+    switch (e.key.toLowerCase()) {
+      case "w":
+        transformControls.setMode("translate");
+        break;
+      case "e":
+        transformControls.setMode("rotate");
+        break;
+      case "r":
+        transformControls.setMode("scale");
+        break;
+      case "f":
+        editMode.surfaceSnap = !editMode.surfaceSnap;
+        if (editMode.surfaceSnap && editMode.selected) {
+          snapToSurface(editMode.selected);
         }
-      });
-
-      scene.add(deckModel);
-      window.deckModel = deckModel;
-      console.log(
-        "DJ Deck loaded. Adjust with: deckModel.position.set(x, y, z)",
-      );
-    });
+        break;
+      case "g":
+        editMode.gridSnap = !editMode.gridSnap;
+        transformControls.setTranslationSnap(editMode.gridSnap ? 0.1 : null);
+        transformControls.setRotationSnap(
+          editMode.gridSnap ? THREE.MathUtils.degToRad(15) : null,
+        );
+        transformControls.setScaleSnap(editMode.gridSnap ? 0.05 : null);
+        break;
+      case "escape":
+        selectForEdit(null);
+        break;
+      default:
+        return;
+    }
+    updateEditPanel();
+  });
 
-    // ============ NYC IMAGE IN WINDOW ============
-    const windowMesh = model.getObjectByName("WINDOW");
-    if (windowMesh) {
-      const windowBox = new THREE.Box3().setFromObject(windowMesh);
-      const windowCenter = windowBox.getCenter(new THREE.Vector3());
-      const windowSize = windowBox.getSize(new THREE.Vector3());
+  document
+    .getElementById("edit-export-btn")
+    ?.addEventListener("click", exportEditPatch);
+  document
+    .getElementById("edit-close-btn")
+    ?.addEventListener("click", () => setEditMode(false));
+}
 
-      const nycTextureLoader = new THREE.TextureLoader();
-      nycTextureLoader.load("/images/nyc-img.png", (nycTexture) => {
-        nycTexture.colorSpace = THREE.SRGBColorSpace;
+// ============ FOCUS TARGET AUTHORING (dev only) ============
+// Replaces "tune these in console then paste back". Toggle with P (or open
+// the page with ?author): fly the camera, preview any focus target, capture
+// the current camera.position / cameraLookCurrent into it, tune the transition
+// (duration, easing, waypoints captured from the fly camera) live, then export
+// the whole focusTargets map as JSON.
+//   Fly: drag to look · WASD move · R/F up/down · Q/E roll
+const focusAuthoring = {
+  enabled: false,
+  flyControls: null,
+  lookDistance: 5, // cameraLookCurrent is kept this far ahead while flying
+  previousCameraMode: null,
+};
+window.focusAuthoring = focusAuthoring;
+
+const authorPanel = document.getElementById("author-panel");
+const authorTargetSelect = document.getElementById("author-target");
+const authorNewNameInput = document.getElementById("author-new-name");
+const authorDurationInput = document.getElementById("author-duration");
+const authorDurationVal = document.getElementById("author-duration-val");
+const authorEasingSelect = document.getElementById("author-easing");
+const authorReadout = document.getElementById("author-readout");
+
+/** Name of the target the panel is pointed at (new name wins if typed) */
+function authorTargetName() {
+  return authorNewNameInput?.value.trim() || authorTargetSelect?.value;
+}
 
-        // Size the plane to fill the window
-        const planeW = Math.max(windowSize.x, windowSize.z) * 0.95;
-        const planeH = windowSize.y * 0.95;
-        const nycGeom = new THREE.PlaneGeometry(planeW, planeH);
-        const nycMat = new THREE.MeshBasicMaterial({
-          map: nycTexture,
-          side: THREE.DoubleSide,
-          toneMapped: false,
-        });
+/** Rebuild the target dropdown from focusTargets */
+function refreshAuthorTargets(selected) {
+  if (!authorTargetSelect) return;
+  authorTargetSelect.innerHTML = "";
+  Object.keys(focusTargets).forEach((name) => {
+    const option = document.createElement("option");
+    option.value = name;
+    option.textContent = name;
+    authorTargetSelect.appendChild(option);
+  });
+  if (selected) authorTargetSelect.value = selected;
+  syncAuthorTransition();
+}
 
-        const nycPlane = new THREE.Mesh(nycGeom, nycMat);
-        nycPlane.position.copy(windowCenter);
+/** Point the duration / easing inputs at the selected target */
+function syncAuthorTransition() {
+  const config = focusTargets[authorTargetName()];
+  const duration = config?.duration ?? focusTransitionDefaults.duration;
+  const easing = config?.easing ?? focusTransitionDefaults.easing;
+  if (authorDurationInput) authorDurationInput.value = duration;
+  if (authorDurationVal) {
+    authorDurationVal.textContent = `${duration.toFixed(1)}s`;
+  }
+  if (authorEasingSelect) authorEasingSelect.value = easing;
+}
 
-        // Orient plane to face the room (window faces inward along +Z)
-        const wallNormal = new THREE.Vector3(0, 0, -1);
-        wallNormal.applyQuaternion(
-          new THREE.Quaternion().setFromEuler(model.rotation),
-        );
-        nycPlane.lookAt(nycPlane.position.clone().add(wallNormal));
+/** Get (or create) a target config and keep derived copies in sync */
+function updateFocusTarget(name, changes) {
+  const config = (focusTargets[name] = focusTargets[name] || {
+    duration: focusTransitionDefaults.duration,
+  });
+  Object.assign(config, changes);
 
-        // Nudge slightly in front of the window glass
-        nycPlane.position.add(wallNormal.clone().multiplyScalar(-0.05));
+  // Register new targets against their mesh once the model is in
+  const mesh = storeModel?.getObjectByName(name);
+  if (mesh && !focusMeshMap.has(mesh)) focusMeshMap.set(mesh, config);
 
-        scene.add(nycPlane);
-        window.nycPlane = nycPlane;
-        console.log(
-          "NYC image placed in window at:",
-          nycPlane.position.toArray().map((v) => +v.toFixed(2)),
-        );
-      });
+  // Proxies such as the booth decal hold a spread copy of the config
+  focusMeshMap.forEach((proxyConfig) => {
+    if (proxyConfig !== config && proxyConfig.focusMesh?.name === name) {
+      Object.assign(proxyConfig, changes);
     }
+  });
+  return config;
+}
 
-    // ============ LOAD SCONCE MODEL ============
-    gltfLoader.load("/models/sconce/sconce.glb", (sconceGltf) => {
-      const sconceModel = sconceGltf.scene;
-      sconceModel.rotation.y = -1.1;
-
-      sconceModel.traverse((child) => {
-        if (child.isMesh) {
-          child.castShadow = true;
-          child.receiveShadow = true;
-          if (child.material) {
-            child.material.envMapIntensity = 0.9;
-          }
-        }
-      });
+/** Fly to the selected target the same way a visitor would */
+function previewFocusTarget() {
+  const name = authorTargetName();
+  const config = focusTargets[name];
+  if (!config) return;
+  const mesh = storeModel?.getObjectByName(name) || new THREE.Object3D();
+  mesh.name = mesh.name || name;
+  // Hopping between previews keeps returning to where we were flying
+  enterFocusMode(mesh, config);
+}
 
-      scene.add(sconceModel);
-      window.sconceModel = sconceModel;
-      console.log(
-        "Sconce model loaded. Adjust with: sconceModel.position.set(x, y, z)",
-      );
-    });
+/** Store the current camera pose as the target's explicit camera placement */
+function captureFocusTarget() {
+  const name = authorTargetName();
+  if (!name) return;
+  updateFocusTarget(name, {
+    cameraPosition: camera.position.clone(),
+    cameraLookAt: cameraLookCurrent.clone(),
+  });
+  if (authorNewNameInput) authorNewNameInput.value = "";
+  refreshAuthorTargets(name);
+  console.log(`Captured focus pose for ${name}`);
+}
 
-    console.log("=== ALL MESHES IN MODEL ===");
-    console.log("Total count:", Object.keys(meshes).length);
-    console.log("Names:", Object.keys(meshes));
-    console.table(Object.keys(meshes).map((name) => ({ name })));
+/** Append the current camera position to the target's transition waypoints */
+function captureFocusWaypoint() {
+  const name = authorTargetName();
+  if (!focusTargets[name]) return;
+  const waypoints = [
+    ...(focusTargets[name].waypoints || []),
+    camera.position.toArray().map((v) => +v.toFixed(3)),
+  ];
+  updateFocusTarget(name, { waypoints });
+  console.log(`${name}: ${waypoints.length} waypoint(s)`);
+}
 
-    // // DEBUG: Uncomment to expose ALL materials
-    // const materials = {};
-    // model.traverse((child) => {
-    //   if (child.isMesh && child.material) materials[child.name] = child.material;
-    // });
-    // window.materials = materials;
-    // console.log('Materials exposed:', Object.keys(materials));
+/** Drop the target's waypoints (straight spline again) */
+function clearFocusWaypoints() {
+  const name = authorTargetName();
+  if (!focusTargets[name]) return;
+  updateFocusTarget(name, { waypoints: undefined });
+  console.log(`${name}: waypoints cleared`);
+}
 
-    // ============ LIGHTING SETUP ============
-    // Colors
-    const warmColor = 0xffb770; // Warm orange for lamp and area lights
-    const whiteColor = 0xffffff; // White for sconces
+/** focusTargets as plain JSON (Vector3 → [x, y, z], runtime fields dropped) */
+function exportFocusTargets() {
+  const out = {};
+  for (const [name, config] of Object.entries(focusTargets)) {
+    const entry = {};
+    for (const [key, value] of Object.entries(config)) {
+      if (key === "worldNormal") continue; // derived from the model at load
+      entry[key] = value?.isVector3
+        ? value.toArray().map((v) => +v.toFixed(3))
+        : value;
+    }
+    out[name] = entry;
+  }
+  const json = JSON.stringify(out, null, 2);
+  console.log("focusTargets:\n" + json);
+  navigator.clipboard?.writeText(json).catch(() => {});
+  return json;
+}
 
-    // --- LAMP (Point Light - diffuse glow through shade) ---
-    const lampPointLight = new THREE.PointLight(warmColor, 3, 12, 2);
-    lampPointLight.position.set(-2.7, 4.0, 8.75);
-    scene.add(lampPointLight);
-    window.lampPointLight = lampPointLight;
+/** Live camera pose readout for the panel */
+function updateAuthorReadout() {
+  if (!authorReadout) return;
+  const fmt = (v) =>
+    v
+      .toArray()
+      .map((n) => n.toFixed(2))
+      .join(", ");
+  authorReadout.textContent =
+    `cameraPosition ${fmt(camera.position)}\n` +
+    `cameraLookAt   ${fmt(cameraLookCurrent)}`;
+}
 
-    // --- LAMP (Spotlight - pointing up) ---
-    const lampLightUp = new THREE.SpotLight(
-      warmColor,
-      15,
-      15,
-      Math.PI / 4,
-      1,
+/** Turn focus authoring on/off (switches the camera to free fly) */
+function setFocusAuthoring(enabled) {
+  if (focusAuthoring.enabled === enabled) return;
+  if (enabled && editMode.enabled) setEditMode(false);
+  focusAuthoring.enabled = enabled;
+
+  if (enabled) {
+    if (cameraFocus.active || cameraFocus.transitioning) exitFocusMode();
+    if (cameraConfig.mode === "walk") stopWalking(); // release the pointer lock
+    focusAuthoring.previousCameraMode = cameraConfig.mode;
+    focusAuthoring.lookDistance = Math.max(
       1,
+      camera.position.distanceTo(cameraLookCurrent),
     );
-    lampLightUp.position.set(-2.7, 4.0, 8.75);
-    lampLightUp.target.position.set(-2.7, 10, 8.75);
-    scene.add(lampLightUp);
-    scene.add(lampLightUp.target);
-    window.lampLightUp = lampLightUp;
+    focusAuthoring.flyControls = new FlyControls(camera, canvas);
+    focusAuthoring.flyControls.movementSpeed = 5;
+    focusAuthoring.flyControls.rollSpeed = 0.5;
+    focusAuthoring.flyControls.dragToLook = true;
+    controls.enabled = false;
+    cameraConfig.mode = "fly";
+    refreshAuthorTargets(authorTargetSelect?.value);
+  } else {
+    focusAuthoring.flyControls?.dispose();
+    focusAuthoring.flyControls = null;
+    if (cameraFocus.active || cameraFocus.transitioning) exitFocusMode();
+    cameraConfig.mode = focusAuthoring.previousCameraMode || "mouse";
+    // Walk on from where the fly camera ended up
+    if (cameraConfig.mode === "walk" && !startWalking())
+      cameraConfig.mode = "mouse";
+    applyOrbitLimits();
+    if (cameraConfig.mode === "mouse") {
+      camera.position.copy(cameraBasePosition);
+    } else if (usesOrbitControls(cameraConfig.mode)) {
+      controls.target.copy(cameraLookCurrent);
+      controls.enabled = true;
+    }
+  }
 
-    // --- LAMP (Spotlight - pointing down) ---
-    const lampLightDown = new THREE.SpotLight(
-      warmColor,
-      15,
-      10,
-      Math.PI / 3,
-      1,
-      1,
-    );
-    lampLightDown.position.set(-2.7, 4.0, 8.75);
-    lampLightDown.target.position.set(-2.7, 0, 8.75);
-    scene.add(lampLightDown);
-    scene.add(lampLightDown.target);
-    window.lampLightDown = lampLightDown;
+  if (authorPanel) authorPanel.classList.toggle("hidden", !enabled);
+  console.log(`Focus authoring ${enabled ? "ON" : "OFF"}`);
+}
 
-    // --- SCONCES (Point Lights - white) ---
-    // Left sconce
-    const sconceLeft = new THREE.PointLight(warmColor, 5, 10, 1);
-    sconceLeft.position.set(-4, 6.5, 1.2);
-    scene.add(sconceLeft);
+/** Per-frame fly update — keeps cameraLookCurrent ahead of the camera */
+function updateFlyCamera(delta) {
+  focusAuthoring.flyControls.update(delta);
+  const forward = camera.getWorldDirection(new THREE.Vector3());
+  cameraLookCurrent
+    .copy(camera.position)
+    .add(forward.multiplyScalar(focusAuthoring.lookDistance));
+  updateAuthorReadout();
+}
 
-    // Right sconce
-    const sconceRight = new THREE.PointLight(warmColor, 5, 10, 1);
-    sconceRight.position.set(14.3, 6.5, -6.9);
-    scene.add(sconceRight);
+if (import.meta.env.DEV) {
+  window.setFocusAuthoring = setFocusAuthoring;
+  window.exportFocusTargets = exportFocusTargets;
 
-    // --- WALL/CEILING FILL LIGHTS (no shadows, cheap) ---
-    // HemisphereLight: cheapest light in Three.js — uniform warm fill everywhere
-    // Sky color warm, ground color slightly darker warm — lifts all surfaces
-    const hemiLight = new THREE.HemisphereLight(0xffe0b2, 0x806040, 0.6);
-    scene.add(hemiLight);
+  window.addEventListener("keydown", (e) => {
+    if (e.target instanceof HTMLInputElement) return;
+    if (e.key === "p" || e.key === "P") {
+      setFocusAuthoring(!focusAuthoring.enabled);
+    }
+  });
 
-    // Stronger PointLights close to side walls to push warmth onto them
-    const fillLeft = new THREE.PointLight(warmColor, 4, 18, 1);
-    fillLeft.position.set(-5, 5.5, 2);
-    scene.add(fillLeft);
+  // Don't fly around while typing a target name
+  authorNewNameInput?.addEventListener("focus", () => {
+    if (focusAuthoring.flyControls) focusAuthoring.flyControls.enabled = false;
+  });
+  authorNewNameInput?.addEventListener("blur", () => {
+    if (focusAuthoring.flyControls) focusAuthoring.flyControls.enabled = true;
+  });
 
-    const fillRight = new THREE.PointLight(warmColor, 4, 18, 1);
-    fillRight.position.set(15, 5.5, -3);
-    scene.add(fillRight);
+  Object.keys(focusEasings).forEach((name) => {
+    const option = document.createElement("option");
+    option.value = name;
+    option.textContent = name;
+    authorEasingSelect?.appendChild(option);
+  });
 
-    // Ceiling fill — placed right below ceiling, wider range
-    const fillCeiling = new THREE.PointLight(warmColor, 3, 16, 1);
-    fillCeiling.position.set(5, 10.5, 2);
-    scene.add(fillCeiling);
+  authorTargetSelect?.addEventListener("change", syncAuthorTransition);
+  authorDurationInput?.addEventListener("input", () => {
+    const duration = parseFloat(authorDurationInput.value);
+    updateFocusTarget(authorTargetName(), { duration });
+    if (authorDurationVal) {
+      authorDurationVal.textContent = `${duration.toFixed(1)}s`;
+    }
+  });
+  authorEasingSelect?.addEventListener("change", () => {
+    updateFocusTarget(authorTargetName(), {
+      easing: authorEasingSelect.value,
+    });
+  });
 
-    // Ambient light — low for window light contrast
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.15);
-    scene.add(ambientLight);
+  document
+    .getElementById("author-preview-btn")
+    ?.addEventListener("click", previewFocusTarget);
+  document
+    .getElementById("author-back-btn")
+    ?.addEventListener("click", exitFocusMode);
+  document
+    .getElementById("author-capture-btn")
+    ?.addEventListener("click", captureFocusTarget);
+  document
+    .getElementById("author-waypoint-btn")
+    ?.addEventListener("click", captureFocusWaypoint);
+  document
+    .getElementById("author-clear-waypoints-btn")
+    ?.addEventListener("click", clearFocusWaypoints);
+  document
+    .getElementById("author-export-btn")
+    ?.addEventListener("click", exportFocusTargets);
+  document
+    .getElementById("author-close-btn")
+    ?.addEventListener("click", () => setFocusAuthoring(false));
+}
 
-    // Directional light (simulates sunlight through window)
-    const sunLight = new THREE.DirectionalLight(0xffb770, 6); // Soft warm sunlight
-    sunLight.position.set(19, 10, -6); // Coming from window direction (left side) 19,7,20
-    sunLight.target.position.set(0, 0.5, 3);
-    scene.add(sunLight.target);
-    sunLight.castShadow = true;
+// ============ ATTRACT MODE (unattended in-store screens) ============
+// After idleSeconds without input the camera tours `stops` in order, dwelling
+// at each with a caption (frames play their video). Any input cancels and
+// the camera returns home through exitFocusMode → finishFocusReturn.
+// On by default in the offline kiosk build; ?attract enables it anywhere.
+const attractConfig = {
+  enabled:
+    OFFLINE_KIOSK || new URLSearchParams(window.location.search).has("attract"),
+  idleSeconds: 45,
+  stops: [
+    { target: "BOOTH_DJ", dwell: 8, caption: "Tap the booth to play the mix" },
+    { target: "FRAME_LEFT_1", dwell: 14, caption: "Now showing at And Son" },
+    { target: "Hanger_1", dwell: 8, caption: "Shop clothes off the rack" },
+    { target: "TABLE", dwell: 8, caption: "Shop homegoods from the table" },
+  ],
+};
+window.attractConfig = attractConfig;
 
-    // Shadow settings — wide frustum to cover entire room without clipping
-    sunLight.shadow.mapSize.width = 2048;
-    sunLight.shadow.mapSize.height = 2048;
-    sunLight.shadow.camera.near = 0.5;
-    sunLight.shadow.camera.far = 120;
-    sunLight.shadow.camera.left = -50;
-    sunLight.shadow.camera.right = 50;
-    sunLight.shadow.camera.top = 50;
-    sunLight.shadow.camera.bottom = -50;
-    sunLight.shadow.bias = -0.0001;
-    // PCSS handles shadow softness via pcssConfig.size
+const attract = {
+  active: false,
+  idle: 0, // seconds since last input
+  index: -1, // current stop
+  dwell: 0, // seconds spent at the current stop after arriving
+};
+window.attract = attract;
 
-    scene.add(sunLight);
-    window.sunLight = sunLight;
-    window.sunCycle = sunCycle;
-    window.getSunPosition = getSunPosition;
+const attractCaptionEl = document.getElementById("attract-caption");
 
-    // ============ LIGHT SWITCH (Press 'L') ============
-    // Collect all materials for envMapIntensity control
-    const allMaterials = [];
-    model.traverse((child) => {
-      if (
-        child.isMesh &&
-        child.material &&
-        child.material.envMapIntensity !== undefined
-      ) {
-        allMaterials.push({
-          material: child.material,
-          onIntensity: child.material.envMapIntensity, // current value as "on" value
-          offIntensity: 0.95, // dim when lights off
-          current: child.material.envMapIntensity,
-          target: child.material.envMapIntensity,
-        });
-      }
-    });
+/** Registered mesh for a focus target name (not a proxy like the decal) */
+function findFocusMesh(name) {
+  for (const [mesh, config] of focusMeshMap) {
+    if (!config.focusMesh && mesh.name === name) return mesh;
+  }
+  return null;
+}
 
-    // Room lights (on when bright) vs practical lights (on when dark)
-    window.lightSwitch = {
-      on: false,
-      mode: "moody", // "day" | "night" | "moody"
-      roomLights: [
-        {
-          light: ambientLight,
-          onIntensity: 0.15,
-          moodyIntensity: 0,
-          current: 0.15,
-          target: 0.15,
-        },
-        {
-          light: sunLight,
-          onIntensity: 6,
-          moodyIntensity: 0,
-          current: 6,
-          target: 6,
-        },
-        {
-          light: hemiLight,
-          onIntensity: 0.6,
-          moodyIntensity: 0,
-          current: 0.6,
-          target: 0.6,
-        },
-        {
-          light: fillLeft,
-          onIntensity: 4,
-          moodyIntensity: 0,
-          current: 4,
-          target: 4,
-        },
-        {
-          light: fillRight,
-          onIntensity: 4,
-          moodyIntensity: 0,
-          current: 4,
-          target: 4,
-        },
-        {
-          light: fillCeiling,
-          onIntensity: 3,
-          moodyIntensity: 1.5,
-          current: 3,
-          target: 3,
-        },
-      ],
-      practicalLights: [
-        // These turn ON when room lights are OFF
-        { light: lampPointLight, onIntensity: 3, current: 0, target: 0 },
-        { light: lampLightUp, onIntensity: 15, current: 0, target: 0 },
-        { light: lampLightDown, onIntensity: 15, current: 0, target: 0 },
-        { light: sconceLeft, onIntensity: 5, current: 0, target: 0 },
-        { light: sconceRight, onIntensity: 5, current: 0, target: 0 },
-      ],
-      materials: allMaterials,
-    };
+/** Show (or hide, with null) the attract caption */
+function setAttractCaption(text) {
+  if (!attractCaptionEl) return;
+  if (text) attractCaptionEl.textContent = text;
+  attractCaptionEl.classList.toggle("hidden", !text);
+}
 
-    // Initialize sun cycle state
-    {
-      const initHour = LIVE_TIME
-        ? (() => {
-            const d = new Date();
-            return d.getHours() + d.getMinutes() / 60 + d.getSeconds() / 3600;
-          })()
-        : STATIC_HOUR;
-      const sun = getSunPosition(initHour);
+/** Move the tour to the next stop whose mesh exists */
+function nextAttractStop() {
+  const { stops } = attractConfig;
+  for (let tries = 0; tries < stops.length; tries++) {
+    attract.index = (attract.index + 1) % stops.length;
+    const stop = stops[attract.index];
+    const mesh = findFocusMesh(stop.target);
+    if (!mesh) continue;
+
+    attract.dwell = 0;
+    enterFocusMode(mesh, focusMeshMap.get(mesh), { showOverlay: false });
+    setAttractCaption(stop.caption);
+    return true;
+  }
+  return false;
+}
 
-      sunCycle.targetPosition.copy(sun.position);
-      sunCycle.currentPosition.copy(sun.position);
-      sunCycle.targetIntensity = sun.intensity;
-      sunCycle.currentIntensity = sun.intensity;
-      sunCycle.targetColor.copy(sun.color);
-      sunCycle.currentColor.copy(sun.color);
-      sunCycle.isNight = sun.intensity < 0.1;
+/** Start the tour from the first stop */
+function startAttractMode() {
+  if (attract.active || attractConfig.stops.length === 0) return;
+  attract.active = true;
+  attract.index = -1;
+  if (!nextAttractStop()) {
+    attract.active = false;
+    return;
+  }
+  console.log("Attract mode started");
+}
 
-      // Apply immediately
-      sunLight.position.copy(sun.position);
-      sunLight.intensity = sun.intensity;
-      sunLight.color.copy(sun.color);
+/** Cancel the tour and send the camera home */
+function stopAttractMode() {
+  if (!attract.active) return;
+  attract.active = false;
+  setAttractCaption(null);
+  exitFocusMode();
+  console.log("Attract mode stopped");
+}
 
-      // Default to moody: sun drives shadows, room lights off (except ceiling fill), practicals on
-      window.lightSwitch.roomLights.forEach((l) => {
-        if (l.light === sunLight) return;
-        l.current = l.moodyIntensity;
-        l.target = l.moodyIntensity;
-        l.light.intensity = l.moodyIntensity;
-      });
-      window.lightSwitch.practicalLights.forEach((l) => {
-        l.current = l.onIntensity;
-        l.target = l.onIntensity;
-        l.light.intensity = l.onIntensity;
-      });
-      window.lightSwitch.materials.forEach((m) => {
-        m.current = m.offIntensity;
-        m.target = m.offIntensity;
-        m.material.envMapIntensity = m.offIntensity;
-      });
+/** Per-frame idle tracking + tour progression (called from animate) */
+function updateAttractMode(delta) {
+  if (!attractConfig.enabled) return;
+
+  if (!attract.active) {
+    attract.idle += delta;
+    const canStart =
+      storeModel &&
+      !renderer.xr.isPresenting &&
+      !cameraFocus.active &&
+      !cameraFocus.transitioning &&
+      !editMode.enabled &&
+      !focusAuthoring.enabled;
+    if (canStart && attract.idle >= attractConfig.idleSeconds) {
+      startAttractMode();
     }
+    return;
+  }
 
-    console.log("Lighting setup complete");
-
-    // Loading screen is hidden once the new room model finishes loading (see room load callback)
+  // Dwell starts counting once the camera has arrived
+  if (cameraFocus.transitioning) return;
+  attract.dwell += delta;
+  const stop = attractConfig.stops[attract.index];
+  if (attract.dwell >= (stop?.dwell ?? 8)) nextAttractStop();
+}
 
-    console.log("Model loaded successfully");
-  },
-  (progress) => {
-    if (progress.total > 0) {
-      const percent = Math.round((progress.loaded / progress.total) * 100);
-      progressFill.style.width = `${percent}%`;
-      progressText.textContent = `${percent}%`;
-    }
-  },
-  (error) => {
-    console.error("Error loading model:", error);
-    progressText.textContent = "Error loading model";
-    progressText.style.color = "#ff4444";
+// Any input resets the idle timer and cancels a running tour
+["pointerdown", "pointermove", "keydown", "wheel", "touchstart"].forEach(
+  (type) => {
+    window.addEventListener(
+      type,
+      () => {
+        attract.idle = 0;
+        stopAttractMode();
+      },
+      { passive: true, capture: true },
+    );
   },
 );
 
+// ============ FOCUS ROUTES (deep links + back button) ============
+// Focus views are mirrored into the URL hash (#/booth, #/frame-left-1, …)
+// with the History API: entering pushes an entry, the back button exits
+// focus, and a shared link lands straight in its view once the model loads.
+const focusRouter = {
+  applying: false, // true while reacting to the URL (don't write it back)
+};
+
+/** Route slug for a focus target (focusTargets[].route, else from its name) */
+function focusRoute(name) {
+  return focusTargets[name]?.route || name.toLowerCase().replace(/_/g, "-");
+}
+
+/** Focus target name for the current #/route, or null */
+function focusTargetFromHash() {
+  const match = window.location.hash.match(/^#\/(.+)$/);
+  if (!match) return null;
+  const route = decodeURIComponent(match[1]);
+  return (
+    Object.keys(focusTargets).find((name) => focusRoute(name) === route) || null
+  );
+}
+
+/** Record an entered focus view in the URL */
+function pushFocusRoute(name) {
+  if (focusRouter.applying || attract.active) return;
+  const url = `#/${focusRoute(name)}`;
+  if (history.state?.focus) {
+    // Hopping between targets replaces rather than stacking entries
+    history.replaceState({ ...history.state, focus: name }, "", url);
+  } else if (window.location.hash === url) {
+    // Already on this deep link — a second entry would make Back a no-op
+    history.replaceState({ ...history.state, focus: name }, "", url);
+  } else {
+    history.pushState({ focus: name, pushed: true }, "", url);
+  }
+}
+
+/** Drop the focus view from the URL once focus is exited in-app */
+function clearFocusRoute() {
+  if (focusRouter.applying) return;
+  if (history.state?.pushed) {
+    history.back(); // popstate finds no route and focus already exiting
+  } else if (history.state?.focus || focusTargetFromHash()) {
+    // Landed via a shared link — nothing of ours to go back to
+    history.replaceState(
+      null,
+      "",
+      window.location.pathname + window.location.search,
+    );
+  }
+}
+
+/** Bring focus mode in line with the URL (deep link, back/forward) */
+function applyFocusRoute() {
+  if (editMode.enabled || focusAuthoring.enabled) return;
+  const name = focusTargetFromHash();
+  const mesh = name && findFocusMesh(name);
+
+  focusRouter.applying = true;
+  if (mesh) {
+    if (!cameraFocus.active || cameraFocus.meshName !== name) {
+      enterFocusMode(mesh, focusMeshMap.get(mesh));
+    }
+  } else if (cameraFocus.active) {
+    exitFocusMode();
+  }
+  focusRouter.applying = false;
+}
+
+window.addEventListener("popstate", applyFocusRoute);
+
 // Handle window resize
 window.addEventListener("resize", () => {
   camera.aspect = window.innerWidth / window.innerHeight;
   camera.updateProjectionMatrix();
   renderer.setSize(window.innerWidth, window.innerHeight);
   css2dRenderer.setSize(window.innerWidth, window.innerHeight);
+  refitFocusView();
 });
 
+// ============ PERFORMANCE GOVERNOR ============
+// Samples frame times and steps through performanceTiers to hold the target
+// frame rate. Drops fast (one bad window), climbs slowly (several good windows
+// in a row), and every upgrade that gets reverted doubles the wait before the
+// next try — so a laptop sitting on the edge doesn't flip-flop between tiers.
+// ?tier=low|medium|high|full pins a tier, ?perf shows the readout.
+const perfConfig = {
+  targetFps: 60, // set to the kiosk display's refresh rate
+  sampleWindow: 1, // seconds of frames per verdict
+  downgradeRatio: 0.83, // window average below targetFps × this → step down
+  upgradeRatio: 0.95, // window average above targetFps × this …
+  upgradeWindows: 4, // … for this many windows in a row → step up
+  settleTime: 2, // seconds ignored after a change (shader recompiles, new shadow map)
+  upgradeBackoff: 10, // seconds before retrying an upgrade that was reverted (doubles)
+  maxBackoff: 160,
+};
+
+// Lowest → highest; "full" is the original fixed setup
+const performanceTiers = [
+  {
+    name: "low",
+    pixelRatio: 0.75,
+    shadows: "low",
+    fillLights: false,
+    videoHeight: 360,
+  },
+  {
+    name: "medium",
+    pixelRatio: 1,
+    shadows: "low",
+    fillLights: false,
+    videoHeight: 540,
+  },
+  {
+    name: "high",
+    pixelRatio: 1.25,
+    shadows: "medium",
+    fillLights: true,
+    videoHeight: 720,
+  },
+  {
+    name: "full",
+    pixelRatio: 1.5,
+    shadows: "medium",
+    fillLights: true,
+    videoHeight: null, // native video frames
+  },
+];
+
+const perfGovernor = {
+  enabled: true,
+  tier: performanceTiers.length - 1,
+  pinShadows: false, // ?shadows= chose a preset
+  frames: 0,
+  elapsed: 0,
+  fps: 0,
+  goodWindows: 0,
+  settle: 0,
+  started: false, // model + props in — sampling may begin
+  backoff: perfConfig.upgradeBackoff,
+  blockedUntil: 0, // clock time before which upgrades are held off
+  lastUpgradeAt: -Infinity,
+  overlay: document.getElementById("perf-overlay"),
+};
+
+// Low tiers feed the video planes a downscaled copy instead of full frames
+const videoProxy = {
+  canvas: document.createElement("canvas"),
+  height: null, // null = use videoTexture directly
+  lastTime: -1,
+};
+videoProxy.ctx = videoProxy.canvas.getContext("2d");
+videoProxy.texture = new THREE.CanvasTexture(videoProxy.canvas);
+videoProxy.texture.colorSpace = THREE.SRGBColorSpace;
+videoProxy.texture.minFilter = THREE.LinearFilter;
+
+/**
+ * Cap the resolution of the video planes.
+ * @param {number | null} height - Pixel height, or null for native frames
+ */
+function setVideoResolution(height) {
+  videoProxy.height = height;
+  videoProxy.lastTime = -1;
+  const map = height ? videoProxy.texture : videoTexture;
+  videoPlanes.forEach((plane) => {
+    if (plane.material.map === map) return;
+    plane.material.map = map;
+    plane.material.needsUpdate = true;
+  });
+}
+
+/** Copy the current video frame into the proxy canvas when it changed */
+function updateVideoProxy() {
+  if (!videoProxy.height || videoEl.readyState < 2) return;
+  if (videoEl.currentTime === videoProxy.lastTime) return;
+  videoProxy.lastTime = videoEl.currentTime;
+  const height = Math.min(videoProxy.height, videoEl.videoHeight);
+  const width = Math.round(
+    (height * videoEl.videoWidth) / Math.max(videoEl.videoHeight, 1),
+  );
+  if (
+    videoProxy.canvas.width !== width ||
+    videoProxy.canvas.height !== height
+  ) {
+    videoProxy.canvas.width = width;
+    videoProxy.canvas.height = height;
+    videoProxy.texture.dispose(); // reallocate at the new size
+  }
+  videoProxy.ctx.drawImage(videoEl, 0, 0, width, height);
+  videoProxy.texture.needsUpdate = true;
+}
+
+/**
+ * Apply a performance tier.
+ * @param {number} index - Index into performanceTiers
+ */
+function setPerformanceTier(index) {
+  index = THREE.MathUtils.clamp(index, 0, performanceTiers.length - 1);
+  const tier = performanceTiers[index];
+  perfGovernor.tier = index;
+  perfGovernor.settle = perfConfig.settleTime;
+  perfGovernor.frames = 0;
+  perfGovernor.elapsed = 0;
+  perfGovernor.goodWindows = 0;
+
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio, tier.pixelRatio));
+  if (!perfGovernor.pinShadows) setShadowQuality(tier.shadows);
+  window.fillLights?.forEach((light) => {
+    light.visible = tier.fillLights;
+  });
+  setVideoResolution(tier.videoHeight);
+  updatePerfOverlay();
+  console.log("Performance tier:", tier.name);
+}
+window.setPerformanceTier = setPerformanceTier;
+
+function updatePerfOverlay() {
+  const { overlay } = perfGovernor;
+  if (!overlay || overlay.classList.contains("hidden")) return;
+  const tier = performanceTiers[perfGovernor.tier];
+  overlay.textContent =
+    `tier ${tier.name}${perfGovernor.enabled ? "" : " (pinned)"}` +
+    ` · ${perfGovernor.fps.toFixed(0)} fps` +
+    ` · ${renderer.getPixelRatio().toFixed(2)}x` +
+    ` · shadows ${pcssConfig.quality}`;
+}
+
+/** Feed one frame into the governor (skipped in VR and while loading) */
+function updatePerformanceGovernor(delta) {
+  updateVideoProxy();
+  if (!storeModel || renderer.xr.isPresenting) return;
+  if (!perfGovernor.started) {
+    // Prop loads, texture uploads and first shader compiles aren't the steady state
+    if (loadingHolds.size > 0 || loadingPending()) return;
+    perfGovernor.started = true;
+    perfGovernor.settle = perfConfig.settleTime;
+  }
+  // Tab switches / breakpoints — not a rendering cost
+  if (delta > 0.25) return;
+  if (perfGovernor.settle > 0) {
+    perfGovernor.settle -= delta;
+    return;
+  }
+
+  perfGovernor.frames++;
+  perfGovernor.elapsed += delta;
+  if (perfGovernor.elapsed < perfConfig.sampleWindow) return;
+
+  perfGovernor.fps = perfGovernor.frames / perfGovernor.elapsed;
+  perfGovernor.frames = 0;
+  perfGovernor.elapsed = 0;
+  updatePerfOverlay();
+  if (!perfGovernor.enabled) return;
+
+  const now = clock.elapsedTime;
+  if (perfGovernor.fps < perfConfig.targetFps * perfConfig.downgradeRatio) {
+    if (perfGovernor.tier === 0) return;
+    // Reverting an upgrade we just made — wait longer before the next try
+    if (now - perfGovernor.lastUpgradeAt < perfConfig.upgradeBackoff) {
+      perfGovernor.backoff = Math.min(
+        perfGovernor.backoff * 2,
+        perfConfig.maxBackoff,
+      );
+    }
+    perfGovernor.blockedUntil = now + perfGovernor.backoff;
+    setPerformanceTier(perfGovernor.tier - 1);
+  } else if (
+    perfGovernor.fps >
+    perfConfig.targetFps * perfConfig.upgradeRatio
+  ) {
+    perfGovernor.goodWindows++;
+    if (
+      perfGovernor.goodWindows >= perfConfig.upgradeWindows &&
+      perfGovernor.tier < performanceTiers.length - 1 &&
+      now >= perfGovernor.blockedUntil
+    ) {
+      perfGovernor.lastUpgradeAt = now;
+      setPerformanceTier(perfGovernor.tier + 1);
+    }
+  } else {
+    perfGovernor.goodWindows = 0;
+  }
+}
+
+{
+  const params = new URLSearchParams(window.location.search);
+  perfGovernor.overlay?.classList.toggle("hidden", !params.has("perf"));
+  const pinned = performanceTiers.findIndex(
+    (tier) => tier.name === params.get("tier"),
+  );
+  if (pinned !== -1) {
+    perfGovernor.enabled = false;
+    perfGovernor.tier = pinned;
+  }
+}
+
 // Animation loop with deltaTime for consistent speed
 const clock = new THREE.Clock();
 
 function animate() {
-  requestAnimationFrame(animate);
   const delta = clock.getDelta();
 
-  // Camera mode handling (three-branch priority)
-  if (cameraFocus.active || cameraFocus.transitioning) {
-    // Focus mode: lerp camera toward focus/return target
-    const focusLerp = 1 - Math.pow(cameraFocus.lerpBase, delta);
-    camera.position.lerp(cameraFocus.targetPosition, focusLerp);
-    cameraLookCurrent.lerp(cameraFocus.targetLookAt, focusLerp);
-    camera.lookAt(cameraLookCurrent);
-
-    // Check if arrived at target
-    const posDist = camera.position.distanceTo(cameraFocus.targetPosition);
-    const lookDist = cameraLookCurrent.distanceTo(cameraFocus.targetLookAt);
-    if (posDist < 0.01 && lookDist < 0.01) {
-      camera.position.copy(cameraFocus.targetPosition);
-      cameraLookCurrent.copy(cameraFocus.targetLookAt);
-      if (cameraFocus.active) {
-        // Arrived at focus target — stop transitioning
-        cameraFocus.transitioning = false;
-        // Show media player if arriving at DJ booth
-        if (cameraFocus._showMediaPlayerOnArrival) {
-          cameraFocus._showMediaPlayerOnArrival = false;
-          showMediaPlayer();
-        }
-      } else {
-        // Arrived back at return position
-        finishFocusReturn();
-      }
-    }
+  // Camera mode handling (three-branch priority; the headset owns the camera in VR)
+  if (renderer.xr.isPresenting) {
+    updateXR(delta);
+  } else if (cameraFocus.active || cameraFocus.transitioning) {
+    // Focus mode: follow the transition spline (arrival fires onArrive)
+    updateFocusTransition(delta);
+  } else if (cameraConfig.mode === "fly" && focusAuthoring.flyControls) {
+    // Focus authoring: free-fly camera
+    updateFlyCamera(delta);
+  } else if (cameraConfig.mode === "walk") {
+    // First person: WASD / tap-to-walk with collisions
+    updateWalkCamera(delta);
   } else if (cameraConfig.mode === "mouse") {
     // Smooth mouse-follow camera - look at where mouse is pointing
     const lerpSpeed = 1 - Math.pow(0.001, delta);
@@ -1744,29 +5906,34 @@ function animate() {
       camera.lookAt(cameraLookCurrent);
     }
   } else {
-    // Orbit controls mode
+    // Orbit controls mode (explore keeps it inside the room)
     controls.update();
+    if (cameraConfig.mode === "explore") constrainExploreCamera();
   }
 
   // ============ SUN CYCLE UPDATE ============
 
+  // Fast-forward simulated time (time panel speeds)
+  if (sunCycle.sim && sunCycle.simSpeed > 0) {
+    sunCycle.simHour =
+      (sunCycle.simHour + (delta * sunCycle.simSpeed) / 3600) % 24;
+    if (
+      timePanel.demoEnd !== null &&
+      sunCycle.simSpeed === timePanel.demoSpeed &&
+      sunCycle.simHour >= timePanel.demoEnd
+    ) {
+      timePanel.demoEnd = null;
+      setSimSpeed(0);
+    }
+  }
+
   if (window.lightSwitch && window.sunLight) {
     const now = performance.now();
     const updateInterval = sunCycle.sim ? 50 : 1000; // faster updates during sim
     if (now - sunCycle.lastUpdate > updateInterval) {
       sunCycle.lastUpdate = now;
 
-      let currentHour;
-      if (sunCycle.sim) {
-        currentHour = sunCycle.simHour;
-      } else if (!LIVE_TIME) {
-        currentHour = STATIC_HOUR;
-      } else {
-        const date = new Date();
-        currentHour =
-          date.getHours() + date.getMinutes() / 60 + date.getSeconds() / 3600;
-      }
-      const sun = getSunPosition(currentHour);
+      const sun = getSunPosition(getCycleHour());
 
       // Update sun targets
       sunCycle.targetPosition.copy(sun.position);
@@ -1775,31 +5942,24 @@ function animate() {
 
       // Determine night state
       const wasNight = sunCycle.isNight;
-      sunCycle.isNight = sun.intensity < 0.1;
+      sunCycle.isNight = sun.isNight;
 
-      // Auto-toggle practical lights when day/night changes (unless overridden or moody)
+      // Auto-toggle lights when day/night changes (unless overridden or moody)
       if (
         !sunCycle.override &&
         window.lightSwitch.mode !== "moody" &&
         wasNight !== sunCycle.isNight
       ) {
-        const on = !sunCycle.isNight; // lights "on" = daytime = sun is up
-        window.lightSwitch.on = on;
-        // Room lights (ambient): dim at night but don't go to zero
-        window.lightSwitch.roomLights.forEach((l) => {
-          // Skip sunLight — it's controlled by the sun cycle directly
-          if (l.light === window.sunLight) return;
-          l.target = on ? l.onIntensity : 0.02;
-        });
-        // Practical lights: on at night
-        window.lightSwitch.practicalLights.forEach((l) => {
-          l.target = on ? 0 : l.onIntensity;
-        });
-        // Materials envMapIntensity
-        window.lightSwitch.materials.forEach((m) => {
-          m.target = on ? m.onIntensity : m.offIntensity;
-        });
-        console.log("Sun cycle auto-toggle:", on ? "DAY" : "NIGHT");
+        setLightingMode(
+          window.lightSwitch.auto ? "auto" : sunCycle.isNight ? "night" : "day",
+          {
+            manual: false,
+          },
+        );
+        console.log(
+          "Sun cycle auto-toggle:",
+          sunCycle.isNight ? "NIGHT" : "DAY",
+        );
       }
     }
   }
@@ -1811,7 +5971,7 @@ function animate() {
       // Skip sunLight in roomLights lerp — sun cycle controls it directly
       if (!sunCycle.override && l.light === window.sunLight) return;
       l.current += (l.target - l.current) * lerpFactor;
-      l.light.intensity = l.current;
+      applyLightLevel(l);
     };
     const lerpMaterial = (m) => {
       m.current += (m.target - m.current) * lerpFactor;
@@ -1820,6 +5980,9 @@ function animate() {
     window.lightSwitch.roomLights?.forEach(lerpLight);
     window.lightSwitch.practicalLights?.forEach(lerpLight);
     window.lightSwitch.materials?.forEach(lerpMaterial);
+    const baked = window.lightSwitch.baked;
+    baked.current += (baked.target - baked.current) * lerpFactor;
+    bakedUniforms.bakedNight.value = baked.current;
   }
 
   // Lerp sun position, intensity, and color toward targets
@@ -1830,19 +5993,34 @@ function animate() {
       (sunCycle.targetIntensity - sunCycle.currentIntensity) * sunLerp;
     sunCycle.currentColor.lerp(sunCycle.targetColor, sunLerp);
 
-    window.sunLight.position.copy(sunCycle.currentPosition);
+    stepSunPosition(window.sunLight, sunCycle.currentPosition);
     window.sunLight.intensity = sunCycle.currentIntensity;
     window.sunLight.color.copy(sunCycle.currentColor);
-
-    // Update shadow camera to follow sun
-    window.sunLight.shadow.camera.updateProjectionMatrix();
   }
 
+  // Refit the shadow frustum to the room whenever the sun (or the map size) changed
+  if (window.sunLight) fitSunShadowCamera(window.sunLight);
+
+  // Live PCSS tweaks (window.pcssConfig / setShadowQuality)
+  syncPCSS();
+
+  // Frame-rate governor (quality tiers) + downscaled video frames
+  updatePerformanceGovernor(delta);
+
+  // Hover highlight for clickable focus meshes
+  updateFocusHover();
+
+  // Idle attract loop (kiosk screens)
+  updateAttractMode(delta);
+
   // Hide/show hotspots during focus mode
   const isFocused = cameraFocus.active || cameraFocus.transitioning;
   for (let i = 0; i < hotspots.length; i++) {
     hotspots[i].css2dObj.visible = !isFocused;
   }
+  updateLookControls(isFocused);
+  updateCameraModeToggle(isFocused);
+  updateTimePanel();
 
   // Slowly rotate logo around Z axis
   if (window.logoMesh) {
@@ -1853,4 +6031,5 @@ function animate() {
   css2dRenderer.render(scene, camera);
 }
 
-animate();
+// setAnimationLoop (not requestAnimationFrame) so frames keep coming in VR
+renderer.setAnimationLoop(animate);